@@ -0,0 +1,102 @@
+// Router benchmark: radix tree matcher vs. the previous linear regex scan
+// Run `npm run build` first, then `npm run bench`
+const { performance } = require("perf_hooks");
+const { pathToRegexp } = require("path-to-regexp");
+const { Router } = require("../dist/index.js");
+
+const RESOURCES = [
+  "users", "posts", "comments", "orders", "invoices", "products",
+  "carts", "payments", "shipments", "reviews", "tags", "teams",
+  "projects", "tasks", "files", "webhooks", "sessions", "reports",
+  "accounts", "settings",
+];
+const VERSIONS = ["v1", "v2", "v3"];
+const ITERATIONS = 200000;
+
+// Build a realistic route table: CRUD + nested routes per resource and version
+function buildPaths() {
+  const paths = [];
+  for (const version of VERSIONS) {
+    for (const resource of RESOURCES) {
+      const base = `/api/${version}/${resource}`;
+      paths.push(
+        base,
+        `${base}/search`,
+        `${base}/:id`,
+        `${base}/:id/history`,
+        `${base}/:id/comments/:commentId`
+      );
+    }
+  }
+  return paths;
+}
+
+// The matcher used before the radix tree: test every route regex in order
+class LinearRouter {
+  constructor() {
+    this.routes = [];
+  }
+
+  addRoute(method, path) {
+    const keys = [];
+    this.routes.push({ method, regex: pathToRegexp(path, keys), keys });
+  }
+
+  match(method, path) {
+    for (const route of this.routes) {
+      if (route.method !== method) continue;
+      const matches = route.regex.exec(path);
+      if (matches) {
+        const params = {};
+        route.keys.forEach((key, i) => (params[key.name] = matches[i + 1]));
+        return { route, params };
+      }
+    }
+    return null;
+  }
+}
+
+function bench(name, router, requests) {
+  // Warm up before measuring
+  for (let i = 0; i < 10000; i++) {
+    router.match("GET", requests[i % requests.length]);
+  }
+
+  const start = performance.now();
+  for (let i = 0; i < ITERATIONS; i++) {
+    router.match("GET", requests[i % requests.length]);
+  }
+  const elapsed = performance.now() - start;
+  const opsPerSec = Math.round((ITERATIONS / elapsed) * 1000);
+
+  console.log(`${name.padEnd(8)} ${opsPerSec.toLocaleString().padStart(12)} matches/sec`);
+  return opsPerSec;
+}
+
+const paths = buildPaths();
+const tree = new Router();
+const linear = new LinearRouter();
+for (const method of ["GET", "POST", "PUT", "DELETE"]) {
+  for (const path of paths) {
+    tree.addRoute(method, path, [() => {}]);
+    linear.addRoute(method, path);
+  }
+}
+
+// Requests spread over the whole table, including misses
+const requests = [];
+for (const version of VERSIONS) {
+  for (const resource of RESOURCES) {
+    requests.push(
+      `/api/${version}/${resource}`,
+      `/api/${version}/${resource}/42`,
+      `/api/${version}/${resource}/42/comments/7`,
+      `/api/${version}/${resource}/missing/route/here`
+    );
+  }
+}
+
+console.log(`${paths.length * 4} routes, ${requests.length} distinct request paths\n`);
+const linearOps = bench("linear", linear, requests);
+const treeOps = bench("tree", tree, requests);
+console.log(`\nspeedup: ${(treeOps / linearOps).toFixed(1)}x`);
@@ -3,7 +3,8 @@
 const createApp = require('../dist/index.js');
 
 // Create application instance
-const app = createApp();
+// Parse request bodies into req.body before the route handlers run
+const app = createApp({ bodyParser: { mode: "auto" } });
 
 // ============================================
 // MIDDLEWARE EXAMPLES
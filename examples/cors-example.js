@@ -2,7 +2,8 @@ const createApp = require('../src/index');
 const { cors } = require('../src/index');
 
 // Create application instance
-const app = createApp();
+// Parse request bodies into req.body before the route handlers run
+const app = createApp({ bodyParser: { mode: "auto" } });
 
 // ============================================
 // CORS EXAMPLES
@@ -11,7 +11,8 @@ const createApp = require('../dist/index.js');
 const { cors } = require('../dist/index.js');
 
 // Create a new application
-const app = createApp();
+// Parse request bodies into req.body before the route handlers run
+const app = createApp({ bodyParser: { mode: "auto" } });
 
 // ============================================
 // BASIC USAGE
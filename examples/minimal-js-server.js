@@ -9,7 +9,8 @@
 // For this example, we use the local build:
 const createApp = require('../dist/index.js');
 
-const app = createApp();
+// Parse request bodies into req.body before the route handlers run
+const app = createApp({ bodyParser: { mode: "auto" } });
 
 // Define your routes
 app.get('/', (req, res) => {
@@ -1,9 +1,71 @@
-import { Server, IncomingMessage, ServerResponse, createServer } from "http";
-import Router from "./router";
+import { Server, IncomingMessage, ServerResponse, STATUS_CODES } from "http";
+import { AddressInfo, Socket } from "net";
+import { Duplex } from "stream";
+import { pathToRegexp } from "path-to-regexp";
+import Router, { ALL_METHODS } from "./router";
 import { Request } from "./request";
 import { Response } from "./response";
-import { IApp, AppOptions, GroupContext } from "./types/app";
-import { MiddlewareFunction, RouteHandler } from "./types/middleware";
+import {
+  BadRequest,
+  MethodNotAllowed,
+  NotFound,
+  ServiceUnavailable,
+  createError,
+  isHttpError,
+} from "./errors";
+import {
+  RegisteredParser,
+  resolveBodyMode,
+  resolveBodyParsers,
+} from "./body-parser";
+import { normalizeSecrets } from "./utils/cookie";
+import { validateRequest } from "./validation";
+import { generateOpenApi } from "./openapi";
+import { inject } from "./inject";
+import { WebSocket, acceptWebSocket, isWebSocketUpgrade } from "./websocket";
+import {
+  DEFAULT_REDACTED_HEADERS,
+  DEFAULT_REQUEST_ID_HEADER,
+  getRequestId,
+  redactHeaders,
+  resolveLogger,
+} from "./logger";
+import {
+  closeAllConnections,
+  closeIdleConnections,
+  createAppServer,
+} from "./server";
+import {
+  IApp,
+  AppOptions,
+  GroupContext,
+  RouteArgs,
+  RouteChain,
+  UseHandler,
+} from "./types/app";
+import {
+  MiddlewareFunction,
+  RouteHandler,
+  ErrorHandler,
+} from "./types/middleware";
+import { Route, RouteGroup, RouteMatch } from "./types/router";
+import { ErrorResponseBody } from "./types/errors";
+import { IResponse } from "./types/response";
+import {
+  ContentTypeParser,
+  ContentTypeParserOptions,
+} from "./types/body-parser";
+import { OpenApiOptions } from "./types/openapi";
+import { InjectOptions, InjectResponse } from "./types/inject";
+import { HookName, HookStore, Hooks, RequestHook } from "./types/hooks";
+import { CloseOptions, HealthOptions } from "./types/shutdown";
+import { AppServer, ListenOptions } from "./types/server";
+import { Logger } from "./types/logger";
+import {
+  WebSocketHandler,
+  WebSocketOptions,
+  WebSocketRouteArgs,
+} from "./types/websocket";
 
 /**
  * Main Application class
@@ -12,71 +74,285 @@ import { MiddlewareFunction, RouteHandler } from "./types/middleware";
 export class App implements IApp {
   private router: Router;
   private middleware: MiddlewareFunction[];
+  private errorHandlers: ErrorHandler[];
+  private contentTypeParsers: RegisteredParser[];
+  private config: AppOptions;
+  private cookieSecrets: string[];
+  private mounts: Map<Route, App>;
+  private hooks: HookStore;
+  private servers: Set<AppServer>;
+  private lastServer: AppServer | null;
+  private inFlight: number;
+  private draining: boolean;
+  private closing: Promise<void> | null;
+  private onDrained: (() => void) | null;
+  private signalHandlers: Map<NodeJS.Signals, () => void>;
+  private accessLog: boolean;
+  private webSockets: Set<WebSocket>;
+  private hasWebSocketRoutes: boolean;
+  readonly log: Logger;
 
   constructor(options: AppOptions = {}) {
     this.router = new Router();
     this.middleware = [];
-    // Options parameter reserved for future configuration features
-    void options;
+    this.errorHandlers = [];
+    this.contentTypeParsers = [];
+    this.config = {
+      exposeErrors: process.env.NODE_ENV !== "production",
+      ...options,
+    };
+    this.cookieSecrets = normalizeSecrets(options.cookieSecret);
+    this.mounts = new Map();
+    this.hooks = createHookStore();
+    this.servers = new Set();
+    this.lastServer = null;
+    this.inFlight = 0;
+    this.draining = false;
+    this.closing = null;
+    this.onDrained = null;
+    this.signalHandlers = new Map();
+    this.webSockets = new Set();
+    this.hasWebSocketRoutes = false;
+    this.log = resolveLogger(options.logger);
+    this.accessLog =
+      options.accessLog ??
+      (options.logger !== undefined && options.logger !== false);
   }
 
   /**
    * Register a GET route
    * @param path - Route path pattern
-   * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+   * @param args - Optional route options followed by handler functions
    */
-  get(path: string, ...handlers: (RouteHandler | MiddlewareFunction)[]): void {
-    this.router.addRoute("GET", path, handlers as RouteHandler[]);
+  get(path: string, ...args: RouteArgs): void {
+    this._addRoute("GET", path, args);
   }
 
   /**
    * Register a POST route
    * @param path - Route path pattern
-   * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+   * @param args - Optional route options followed by handler functions
    */
-  post(path: string, ...handlers: (RouteHandler | MiddlewareFunction)[]): void {
-    this.router.addRoute("POST", path, handlers as RouteHandler[]);
+  post(path: string, ...args: RouteArgs): void {
+    this._addRoute("POST", path, args);
   }
 
   /**
    * Register a PUT route
    * @param path - Route path pattern
-   * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+   * @param args - Optional route options followed by handler functions
    */
-  put(path: string, ...handlers: (RouteHandler | MiddlewareFunction)[]): void {
-    this.router.addRoute("PUT", path, handlers as RouteHandler[]);
+  put(path: string, ...args: RouteArgs): void {
+    this._addRoute("PUT", path, args);
   }
 
   /**
    * Register a DELETE route
    * @param path - Route path pattern
-   * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+   * @param args - Optional route options followed by handler functions
    */
-  delete(
-    path: string,
-    ...handlers: (RouteHandler | MiddlewareFunction)[]
-  ): void {
-    this.router.addRoute("DELETE", path, handlers as RouteHandler[]);
+  delete(path: string, ...args: RouteArgs): void {
+    this._addRoute("DELETE", path, args);
   }
 
   /**
    * Register a PATCH route
    * @param path - Route path pattern
-   * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+   * @param args - Optional route options followed by handler functions
+   */
+  patch(path: string, ...args: RouteArgs): void {
+    this._addRoute("PATCH", path, args);
+  }
+
+  /**
+   * Register a HEAD route
+   * GET routes answer HEAD requests automatically; use this to override that
+   * @param path - Route path pattern
+   * @param args - Optional route options followed by handler functions
+   */
+  head(path: string, ...args: RouteArgs): void {
+    this._addRoute("HEAD", path, args);
+  }
+
+  /**
+   * Register an OPTIONS route
+   * Paths without one get an automatic response with an Allow header
+   * @param path - Route path pattern
+   * @param args - Optional route options followed by handler functions
+   */
+  options(path: string, ...args: RouteArgs): void {
+    this._addRoute("OPTIONS", path, args);
+  }
+
+  /**
+   * Register a route that matches every HTTP method
+   * @param path - Route path pattern
+   * @param args - Optional route options followed by handler functions
+   */
+  all(path: string, ...args: RouteArgs): void {
+    this._addRoute(ALL_METHODS, path, args);
+  }
+
+  /**
+   * Register a route for one or more arbitrary HTTP methods
+   * Useful for methods without a shorthand, such as PURGE, PROPFIND or REPORT
+   * @param method - Method name(s), e.g. "PURGE" or ["PROPFIND", "REPORT"]
+   * @param path - Route path pattern
+   * @param args - Optional route options followed by handler functions
+   */
+  on(method: string | string[], path: string, ...args: RouteArgs): void {
+    for (const name of normalizeMethods(method)) {
+      this._addRoute(name, path, args);
+    }
+  }
+
+  /**
+   * Register a WebSocket route
+   * Global, group and route middleware run before the handshake is
+   * accepted, so they can reject the upgrade with an HTTP response
+   * Usage: app.ws('/rooms/:id', (socket, req) => socket.send(req.params.id))
+   * @param path - Route path pattern
+   * @param args - Optional WebSocket options followed by the handler
+   */
+  ws(path: string, ...args: WebSocketRouteArgs): void {
+    this._addWebSocketRoute(path, args);
+  }
+
+  /**
+   * Define several methods for one path in a single place
+   * Usage: app.route('/users/:id').get(show).put(update).delete(destroy)
+   * @param path - Route path pattern
+   * @returns Chainable route definition
+   */
+  route(path: string): RouteChain {
+    return createRouteChain((method, args) =>
+      this._addRoute(method, path, args)
+    );
+  }
+
+  /**
+   * Register a parser for a custom content type
+   * Custom parsers are tried before the built-in ones
+   * @param type - Content type(s) to handle, e.g. "application/xml" or "text/*"
+   * @param parser - Function receiving the raw body Buffer and the request
+   * @param options - Parser options such as the size limit
    */
-  patch(
-    path: string,
-    ...handlers: (RouteHandler | MiddlewareFunction)[]
+  addContentTypeParser(
+    type: string | string[],
+    parser: ContentTypeParser,
+    options: ContentTypeParserOptions = {}
   ): void {
-    this.router.addRoute("PATCH", path, handlers as RouteHandler[]);
+    this.contentTypeParsers.push({
+      types: Array.isArray(type) ? type : [type],
+      parser,
+      options,
+    });
+  }
+
+  /**
+   * Register global middleware, path-scoped middleware or mounted routers
+   * Functions declaring four parameters (err, req, res, next) are registered as error handlers
+   * Usage: app.use(logger), app.use('/admin', auth), app.use('/api/v1', usersRouter)
+   * @param args - Optional path prefix followed by middleware, error handlers or routers
+   */
+  use(...args: [string, ...UseHandler[]] | UseHandler[]): void {
+    const [first, ...rest] = args;
+    const prefix = typeof first === "string" ? normalizePrefix(first) : "/";
+    const handlers = (typeof first === "string" ? rest : args) as UseHandler[];
+
+    for (const handler of handlers) {
+      if (handler instanceof App) {
+        this.mount(prefix, handler);
+        continue;
+      }
+
+      if (typeof handler !== "function") {
+        throw new TypeError(
+          "app.use() expects middleware functions, error handlers or routers"
+        );
+      }
+
+      if (isErrorHandler(handler)) {
+        this.errorHandlers.push(scopeErrorHandler(prefix, handler));
+        continue;
+      }
+
+      this.middleware.push(
+        scopeMiddleware(prefix, handler as MiddlewareFunction)
+      );
+    }
+  }
+
+  /**
+   * Mount a router or another application under a path prefix
+   * Requests below the prefix are dispatched to the mounted app with the prefix
+   * stripped from req.path and appended to req.baseUrl
+   * @param prefix - Path prefix, may contain params (e.g. '/users/:userId/posts')
+   * @param app - Router created with createRouter() or app created with createApp()
+   */
+  mount(prefix: string, app: IApp): void {
+    if (!(app instanceof App)) {
+      throw new TypeError("app.mount() expects a router or an app");
+    }
+
+    if (app === this) {
+      throw new TypeError("An app cannot be mounted on itself");
+    }
+
+    const cleanPrefix = normalizePrefix(prefix);
+    const base = cleanPrefix === "/" ? "" : cleanPrefix;
+
+    // The mounted app reads the body itself, with its own parser settings
+    this.router.addRoute(
+      ALL_METHODS,
+      `${base}{/:${MOUNT_PATH_PARAM}(.*)}?`,
+      [this._createMountHandler(app, base) as RouteHandler],
+      { bodyParser: false }
+    );
+    this.mounts.set(this.router.routes[this.router.routes.length - 1], app);
+    this._listenForUpgrades();
+  }
+
+  /**
+   * Serve an OpenAPI 3.1 document describing the routes of this app
+   * The document is generated on request, so routes registered later are included
+   * Usage: app.openapi({ info: { title: 'Users API', version: '1.0.0' } })
+   * @param options - Document info, top-level fields and the path to serve it at
+   */
+  openapi(options: OpenApiOptions): void {
+    const path = options.path || "/openapi.json";
+
+    const handler: RouteHandler = (req, res) => {
+      // Paths are relative to the prefix a router is mounted under
+      const servers =
+        options.servers || (req.baseUrl ? [{ url: req.baseUrl }] : undefined);
+      res.json(generateOpenApi(this, { ...options, servers }));
+    };
+
+    this.get(path, { schema: { hide: true } }, handler);
+  }
+
+  /**
+   * Register a lifecycle hook
+   * Hooks run in registration order, app hooks before those of groups and
+   * outer groups before nested ones
+   * Usage: app.addHook('onResponse', (req, res) => metrics.record(req, res))
+   * @param name - Lifecycle stage, e.g. "onRequest", "preHandler" or "onSend"
+   * @param hook - Hook function; may be async
+   * @throws {TypeError} If the stage is unknown or the hook is not a function
+   */
+  addHook<K extends HookName>(name: K, hook: Hooks[K]): void {
+    assertHook(name, hook);
+    this.hooks[name].push(hook);
   }
 
   /**
-   * Register global middleware
-   * @param middleware - Middleware function with signature (req, res, next)
+   * Register an application-level error handler
+   * Runs after group error handlers for errors that are still unhandled
+   * @param handler - Error handler with signature (err, req, res, next)
    */
-  use(middleware: MiddlewareFunction): void {
-    this.middleware.push(middleware);
+  onError(handler: ErrorHandler): void {
+    this.errorHandlers.push(handler);
   }
 
   /**
@@ -86,7 +362,7 @@ export class App implements IApp {
    */
   group(prefix: string, callback: (context: GroupContext) => void): void {
     // Create a scoped context that prepends prefix to all routes
-    const groupContext = this._createGroupContext(prefix, []);
+    const groupContext = this._createGroupContext(prefix, [], []);
 
     // Execute the callback with the scoped context
     callback(groupContext);
@@ -96,102 +372,177 @@ export class App implements IApp {
    * Create a group context with prefix and middleware stack
    * @param prefix - Path prefix to prepend to routes
    * @param parentMiddleware - Middleware from parent groups
+   * @param parentGroups - Scopes of parent groups, outermost first
    * @returns Scoped context object with route registration methods
    * @private
    */
   private _createGroupContext(
     prefix: string,
-    parentMiddleware: MiddlewareFunction[]
+    parentMiddleware: MiddlewareFunction[],
+    parentGroups: RouteGroup[]
   ): GroupContext {
     const self = this;
 
-    // Normalize prefix (ensure it starts with / and doesn't end with /)
-    const normalizedPrefix = prefix.startsWith("/") ? prefix : `/${prefix}`;
-    const cleanPrefix =
-      normalizedPrefix.endsWith("/") && normalizedPrefix.length > 1
-        ? normalizedPrefix.slice(0, -1)
-        : normalizedPrefix;
+    const cleanPrefix = normalizePrefix(prefix);
 
     // Group-specific middleware stack
     const groupMiddleware: MiddlewareFunction[] = [...parentMiddleware];
 
+    // Group scope holding handlers that are resolved at request time
+    const scope: RouteGroup = {
+      prefix: cleanPrefix,
+      errorHandlers: [],
+      hooks: createHookStore(),
+    };
+    const groups: RouteGroup[] = [...parentGroups, scope];
+
+    // Register a route under the group prefix with the group's middleware and scopes
+    const addGroupRoute = (
+      method: string,
+      path: string,
+      args: RouteArgs
+    ): void => {
+      self._addRoute(method, cleanPrefix + path, args);
+      self._addGroupMiddlewareToRoute(groupMiddleware, groups);
+    };
+
     return {
       /**
        * Register middleware for this group
-       * @param middleware - Middleware function
+       * @param middleware - Middleware function (or error handler with four parameters)
+       */
+      use(middleware: MiddlewareFunction | ErrorHandler): void {
+        if (isErrorHandler(middleware)) {
+          scope.errorHandlers.push(middleware);
+          return;
+        }
+
+        groupMiddleware.push(middleware as MiddlewareFunction);
+      },
+
+      /**
+       * Register an error handler for routes in this group (and nested groups)
+       * @param handler - Error handler with signature (err, req, res, next)
+       */
+      onError(handler: ErrorHandler): void {
+        scope.errorHandlers.push(handler);
+      },
+
+      /**
+       * Register a lifecycle hook for routes in this group (and nested groups)
+       * onClose hooks run with the app's, since shutdown is not per route
+       * @param name - Lifecycle stage
+       * @param hook - Hook function; may be async
        */
-      use(middleware: MiddlewareFunction): void {
-        groupMiddleware.push(middleware);
+      addHook<K extends HookName>(name: K, hook: Hooks[K]): void {
+        assertHook(name, hook);
+        (name === "onClose" ? self.hooks : scope.hooks)[name].push(hook);
       },
 
       /**
        * Register a GET route in this group
        * @param path - Route path pattern
-       * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+       * @param args - Optional route options followed by handler functions
        */
-      get(
-        path: string,
-        ...handlers: (RouteHandler | MiddlewareFunction)[]
-      ): void {
-        const fullPath = cleanPrefix + path;
-        self.router.addRoute("GET", fullPath, handlers as RouteHandler[]);
-        self._addGroupMiddlewareToRoute(groupMiddleware);
+      get(path: string, ...args: RouteArgs): void {
+        addGroupRoute("GET", path, args);
       },
 
       /**
        * Register a POST route in this group
        * @param path - Route path pattern
-       * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+       * @param args - Optional route options followed by handler functions
        */
-      post(
-        path: string,
-        ...handlers: (RouteHandler | MiddlewareFunction)[]
-      ): void {
-        const fullPath = cleanPrefix + path;
-        self.router.addRoute("POST", fullPath, handlers as RouteHandler[]);
-        self._addGroupMiddlewareToRoute(groupMiddleware);
+      post(path: string, ...args: RouteArgs): void {
+        addGroupRoute("POST", path, args);
       },
 
       /**
        * Register a PUT route in this group
        * @param path - Route path pattern
-       * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+       * @param args - Optional route options followed by handler functions
        */
-      put(
-        path: string,
-        ...handlers: (RouteHandler | MiddlewareFunction)[]
-      ): void {
-        const fullPath = cleanPrefix + path;
-        self.router.addRoute("PUT", fullPath, handlers as RouteHandler[]);
-        self._addGroupMiddlewareToRoute(groupMiddleware);
+      put(path: string, ...args: RouteArgs): void {
+        addGroupRoute("PUT", path, args);
       },
 
       /**
        * Register a DELETE route in this group
        * @param path - Route path pattern
-       * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+       * @param args - Optional route options followed by handler functions
        */
-      delete(
-        path: string,
-        ...handlers: (RouteHandler | MiddlewareFunction)[]
-      ): void {
-        const fullPath = cleanPrefix + path;
-        self.router.addRoute("DELETE", fullPath, handlers as RouteHandler[]);
-        self._addGroupMiddlewareToRoute(groupMiddleware);
+      delete(path: string, ...args: RouteArgs): void {
+        addGroupRoute("DELETE", path, args);
       },
 
       /**
        * Register a PATCH route in this group
        * @param path - Route path pattern
-       * @param handlers - Handler functions (can be RouteHandler or MiddlewareFunction)
+       * @param args - Optional route options followed by handler functions
        */
-      patch(
-        path: string,
-        ...handlers: (RouteHandler | MiddlewareFunction)[]
-      ): void {
-        const fullPath = cleanPrefix + path;
-        self.router.addRoute("PATCH", fullPath, handlers as RouteHandler[]);
-        self._addGroupMiddlewareToRoute(groupMiddleware);
+      patch(path: string, ...args: RouteArgs): void {
+        addGroupRoute("PATCH", path, args);
+      },
+
+      /**
+       * Register a HEAD route in this group
+       * @param path - Route path pattern
+       * @param args - Optional route options followed by handler functions
+       */
+      head(path: string, ...args: RouteArgs): void {
+        addGroupRoute("HEAD", path, args);
+      },
+
+      /**
+       * Register an OPTIONS route in this group
+       * @param path - Route path pattern
+       * @param args - Optional route options followed by handler functions
+       */
+      options(path: string, ...args: RouteArgs): void {
+        addGroupRoute("OPTIONS", path, args);
+      },
+
+      /**
+       * Register a route in this group that matches every HTTP method
+       * @param path - Route path pattern
+       * @param args - Optional route options followed by handler functions
+       */
+      all(path: string, ...args: RouteArgs): void {
+        addGroupRoute(ALL_METHODS, path, args);
+      },
+
+      /**
+       * Register a route in this group for one or more arbitrary HTTP methods
+       * @param method - Method name(s), e.g. "PURGE" or ["PROPFIND", "REPORT"]
+       * @param path - Route path pattern
+       * @param args - Optional route options followed by handler functions
+       */
+      on(method: string | string[], path: string, ...args: RouteArgs): void {
+        for (const name of normalizeMethods(method)) {
+          addGroupRoute(name, path, args);
+        }
+      },
+
+      /**
+       * Register a WebSocket route in this group
+       * The group's middleware runs before the handshake is accepted
+       * @param path - Route path pattern
+       * @param args - Optional WebSocket options followed by the handler
+       */
+      ws(path: string, ...args: WebSocketRouteArgs): void {
+        self._addWebSocketRoute(cleanPrefix + path, args);
+        self._addGroupMiddlewareToRoute(groupMiddleware, groups);
+      },
+
+      /**
+       * Define several methods for one path in this group
+       * @param path - Route path pattern
+       * @returns Chainable route definition
+       */
+      route(path: string): RouteChain {
+        return createRouteChain((method, args) =>
+          addGroupRoute(method, path, args)
+        );
       },
 
       /**
@@ -207,7 +558,8 @@ export class App implements IApp {
         const stackedPrefix = cleanPrefix + nestedPrefix;
         const nestedContext = self._createGroupContext(
           stackedPrefix,
-          groupMiddleware
+          groupMiddleware,
+          groups
         );
         callback(nestedContext);
       },
@@ -215,37 +567,266 @@ export class App implements IApp {
   }
 
   /**
-   * Add group middleware to the most recently added route
+   * Register a route, splitting an optional leading options object from the handlers
+   * @param method - HTTP method
+   * @param path - Full route path
+   * @param args - Optional route options followed by handler functions
+   * @private
+   */
+  private _addRoute(method: string, path: string, args: RouteArgs): void {
+    const [first, ...rest] = args;
+
+    if (first !== undefined && typeof first !== "function") {
+      this.router.addRoute(method, path, rest as RouteHandler[], first);
+      return;
+    }
+
+    this.router.addRoute(method, path, args as RouteHandler[]);
+  }
+
+  /**
+   * Register a WebSocket route under the WebSocket pseudo-method, so
+   * upgrade requests are routed like any other request
+   * @param path - Full route path
+   * @param args - Optional WebSocket options followed by the handler
+   * @throws {TypeError} If no handler function is given
+   * @private
+   */
+  private _addWebSocketRoute(path: string, args: WebSocketRouteArgs): void {
+    const [options, handler] = args.length === 1 ? [{}, args[0]] : args;
+    if (typeof handler !== "function") {
+      throw new TypeError("app.ws() expects a handler function");
+    }
+
+    this.router.addRoute(
+      WEBSOCKET_METHOD,
+      path,
+      [this._createWebSocketHandler(options, handler)],
+      { bodyParser: false }
+    );
+    this.hasWebSocketRoutes = true;
+    this._listenForUpgrades();
+  }
+
+  /**
+   * Create the route handler completing the handshake of a WebSocket route
+   * Connections are tracked so shutdown can close them with 1001
+   * @param options - Message size limit and subprotocols
+   * @param handler - Handler receiving the open WebSocket
+   * @returns Route handler for the WebSocket route
+   * @private
+   */
+  private _createWebSocketHandler(
+    options: WebSocketOptions,
+    handler: WebSocketHandler
+  ): RouteHandler {
+    return async (req, res) => {
+      const { _upgrade: upgrade } = req as Request;
+
+      // A request naming the pseudo-method as its method is no upgrade
+      if (!upgrade) {
+        throw createError(426, "WebSocket upgrade required", {
+          headers: { Upgrade: "websocket" },
+        });
+      }
+
+      if (this.draining) {
+        throw new ServiceUnavailable("Server is shutting down");
+      }
+
+      const socket = acceptWebSocket(
+        req,
+        res.raw,
+        upgrade.socket,
+        upgrade.head,
+        options
+      );
+      (res as Response)._sent = true;
+      this.webSockets.add(socket);
+      socket.once("close", () => this.webSockets.delete(socket));
+
+      try {
+        await handler(socket, req);
+      } catch (error) {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.close(1011);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Check whether this app or an app mounted on it has WebSocket routes
+   * @returns True if upgrade requests need to be handled
+   * @private
+   */
+  _usesWebSockets(): boolean {
+    return (
+      this.hasWebSocketRoutes ||
+      [...this.mounts.values()].some((app) => app._usesWebSockets())
+    );
+  }
+
+  /**
+   * Handle upgrade requests on the servers of this app once it has
+   * WebSocket routes
+   * Without an upgrade listener Node.js serves them as plain requests, so
+   * the listener is only added when needed
+   * @private
+   */
+  private _listenForUpgrades(): void {
+    if (!this._usesWebSockets()) {
+      return;
+    }
+
+    for (const server of this.servers) {
+      if (server.listenerCount("upgrade") === 0) {
+        server.on("upgrade", (req, socket, head) =>
+          this._handleUpgrade(req, socket, head)
+        );
+      }
+    }
+  }
+
+  /**
+   * Run an upgrade request through the app with a response written to the
+   * upgraded socket
+   * Requests for other protocols are answered as plain HTTP requests
+   * @param req - Node.js request object
+   * @param socket - Socket detached from the HTTP parser
+   * @param head - Bytes received after the request headers
+   * @private
+   */
+  private _handleUpgrade(
+    req: IncomingMessage,
+    socket: Duplex,
+    head: Buffer
+  ): void {
+    socket.on("error", () => socket.destroy());
+
+    // Data sent before the handshake is accepted waits for the WebSocket
+    socket.pause();
+
+    const res = new ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket as Socket);
+    res.once("finish", () => socket.end());
+
+    const upgrade = isWebSocketUpgrade(req) ? { socket, head } : undefined;
+    this._handleRequest(req, res, upgrade).catch((error) =>
+      this._rejectRequest(req, res, error)
+    );
+  }
+
+  /**
+   * Add group middleware and group scopes to the most recently added route
    * @param middleware - Array of middleware functions
+   * @param groups - Group scopes the route belongs to, outermost first
    * @private
    */
-  private _addGroupMiddlewareToRoute(middleware: MiddlewareFunction[]): void {
-    if (middleware.length > 0 && this.router.routes.length > 0) {
-      const lastRoute = this.router.routes[this.router.routes.length - 1];
+  private _addGroupMiddlewareToRoute(
+    middleware: MiddlewareFunction[],
+    groups: RouteGroup[]
+  ): void {
+    if (this.router.routes.length === 0) {
+      return;
+    }
+
+    const lastRoute = this.router.routes[this.router.routes.length - 1];
+    lastRoute.groups = [...groups];
+    if (middleware.length > 0) {
       lastRoute.middleware = [...middleware];
     }
   }
 
+  /**
+   * List the routes of this app and of the apps mounted on it, in
+   * registration order
+   * @param prefix - Path prefix this app is mounted under
+   * @returns Routes with their full path pattern
+   */
+  _routeTable(prefix = ""): Route[] {
+    return this.router.routes.flatMap((route) => {
+      const mounted = this.mounts.get(route);
+      if (mounted) {
+        const base = route.path.slice(0, route.path.lastIndexOf("{/:"));
+        return mounted._routeTable(prefix + base);
+      }
+
+      // A router's root route is documented as the prefix itself
+      const path = prefix + route.path;
+      return [{ ...route, path: path.replace(/(.)\/$/, "$1") }];
+    });
+  }
+
+  /**
+   * Create the route handler dispatching requests to a mounted app
+   * Params of the prefix are passed on; errors the mounted app does not
+   * handle continue in this app's error pipeline
+   * @param app - Mounted app
+   * @param prefix - Mount path pattern, reported in req.routePath
+   * @returns Route handler for the mount route
+   * @private
+   */
+  private _createMountHandler(app: App, prefix: string): MiddlewareFunction {
+    return async (req, res, next) => {
+      const request = req as Request;
+      const { path, baseUrl, _routePrefix } = request;
+      const { [MOUNT_PATH_PARAM]: rest, ...params } = request.params;
+
+      // Move the matched prefix from path to baseUrl
+      const subPath = rest === undefined ? "" : `/${rest}`;
+      request.baseUrl =
+        baseUrl + path.slice(0, path.length - subPath.length).replace(/\/$/, "");
+      request.path = subPath || "/";
+      request.params = params;
+      request._routePrefix = _routePrefix + prefix;
+
+      const restore = (): void => {
+        request.path = path;
+        request.baseUrl = baseUrl;
+        request._routePrefix = _routePrefix;
+      };
+
+      // The mounted view is only undone when the request leaves the mounted
+      // app: its handlers may still run after _dispatch() resolves, when a
+      // middleware calls next() without awaiting it
+      try {
+        await app._dispatch(request, res as Response, async (error) => {
+          restore();
+          await next(error as Error);
+        });
+      } catch (error) {
+        restore();
+        throw error;
+      }
+    };
+  }
+
   /**
    * Execute middleware stack followed by final handler
    * @param req - Request wrapper object
    * @param res - Response wrapper object
    * @param middlewareStack - Array of middleware functions
    * @param finalHandler - Final handler to execute after middleware
+   * @param errorHandler - Called when middleware passes an error to next()
    * @private
    */
   private async _executeMiddleware(
     req: Request,
     res: Response,
     middlewareStack: MiddlewareFunction[],
-    finalHandler: () => Promise<void>
+    finalHandler: () => Promise<void>,
+    errorHandler: (error: unknown) => Promise<void>
   ): Promise<void> {
     let index = 0;
 
     const next = async (error?: Error): Promise<void> => {
-      // If an error is passed, skip to error handling
+      // If an error is passed, skip the rest of the chain and handle it
       if (error) {
-        throw error;
+        await errorHandler(error);
+        return;
       }
 
       // Stop execution if response has been sent
@@ -253,17 +834,23 @@ export class App implements IApp {
         return;
       }
 
-      // If we've executed all middleware, run the final handler
-      if (index >= middlewareStack.length) {
-        await finalHandler();
-        return;
-      }
+      // Errors are handled here so next() never rejects, even when
+      // middleware calls it without awaiting
+      try {
+        // If we've executed all middleware, run the final handler
+        if (index >= middlewareStack.length) {
+          await finalHandler();
+          return;
+        }
 
-      // Get the current middleware and increment index
-      const middleware = middlewareStack[index++];
+        // Get the current middleware and increment index
+        const middleware = middlewareStack[index++];
 
-      // Execute the middleware with next callback
-      await middleware(req, res, next);
+        // Execute the middleware with next callback
+        await middleware(req, res, next);
+      } catch (thrown) {
+        await errorHandler(thrown);
+      }
     };
 
     // Start the middleware chain
@@ -274,97 +861,985 @@ export class App implements IApp {
    * Handle incoming HTTP requests
    * @param req - Node.js request object
    * @param res - Node.js response object
+   * @param upgrade - Socket and buffered bytes of a WebSocket upgrade request
    * @private
    */
   private async _handleRequest(
     req: IncomingMessage,
-    res: ServerResponse
+    res: ServerResponse,
+    upgrade?: { socket: Duplex; head: Buffer }
   ): Promise<void> {
-    // Create Request and Response wrapper instances
-    const request = new Request(req);
-    const response = new Response(res);
+    const start = Date.now();
+    let request: Request;
+    let response: Response;
 
+    // Errors before dispatch (an unparsable URL, a failing genRequestId)
+    // have no request pipeline to go through
     try {
-      // Parse request body asynchronously
-      await request._parseBody();
-
-      // Implement route matching logic using router
-      const match = this.router.match(request.method, request.path);
-
-      // Handle 404 case when no route matches
-      if (!match) {
-        response.status(404).json({
-          error: "Not Found",
-          message: `Cannot ${request.method} ${request.path}`,
-          path: request.path,
-          method: request.method,
-        });
-        return;
+      // Create Request and Response wrapper instances
+      try {
+        request = new Request(req);
+      } catch (error) {
+        throw new BadRequest("Invalid request URL", { cause: error });
       }
+      response = new Response(res);
+      request._setResponse(res);
+      request._upgrade = upgrade || null;
+      request._setCookieSecrets(this.cookieSecrets);
+      response._setCookieSecrets(this.cookieSecrets);
 
-      // Extract and assign route params to request object
-      request.params = match.params;
-
-      // Combine global middleware with route-specific middleware
-      const middlewareStack = [...this.middleware, ...(match.middleware || [])];
+      // Log entries of the request carry its ID, which is echoed to the client
+      const header = this.config.requestIdHeader ?? DEFAULT_REQUEST_ID_HEADER;
+      const id = getRequestId(req, header, this.config.genRequestId);
+      const log = this.log.child({ reqId: id });
+      request._setLogger(id, log);
+      response._setLogger(log);
+      if (header) {
+        res.setHeader(header, id);
+      }
+    } catch (error) {
+      this._rejectRequest(req, res, error);
+      return;
+    }
 
-      // Create final handler that executes all route handlers
-      const finalHandler = async (): Promise<void> => {
-        for (const handler of match.handlers) {
-          if (response._sent) break;
-          await handler(request, response);
-        }
-      };
+    // HTTP/1 clients are told to drop keep-alive connections during shutdown
+    if (this.draining && req.httpVersionMajor < 2) {
+      res.setHeader("Connection", "close");
+    }
 
-      // Execute middleware chain followed by route handlers
-      await this._executeMiddleware(
-        request,
-        response,
-        middlewareStack,
-        finalHandler
-      );
-    } catch (error) {
-      // Log error details to console with stack trace
-      console.error("Request handling error:");
-      console.error((error as Error).stack || error);
-
-      // Send 500 status code with error message in JSON format
-      // Ensure error response is only sent if response hasn't been sent already
-      if (!response._sent) {
-        response.status(500).json({
-          error: "Internal Server Error",
-          message: (error as Error).message,
-          path: request.path,
-          method: request.method,
-        });
+    // Track the request until its response is done, then remove temporary
+    // upload files
+    this.inFlight++;
+    res.once("close", () => {
+      if (this.accessLog) {
+        this._logAccess(request, res, Date.now() - start);
       }
-    }
+      request._cleanup();
+      this.inFlight--;
+      if (this.inFlight === 0 && this.onDrained) {
+        this.onDrained();
+      }
+    });
+
+    await this._dispatch(request, response);
   }
 
   /**
-   * Start the HTTP server on the specified port
-   * @param port - Port number to listen on
-   * @param callback - Optional callback to execute after server starts
-   * @returns The HTTP server instance
+   * Answer a request that failed outside the request pipeline
+   * Sends the error in the usual format, or drops the connection if the
+   * response already started
+   * @param req - Node.js request object
+   * @param res - Node.js response object
+   * @param error - Thrown value
+   * @private
    */
-  listen(port: number, callback?: () => void): Server {
-    // Create HTTP server using Node.js http.createServer()
-    const server = createServer((req, res) => {
-      // Bind _handleRequest to server's request event
-      this._handleRequest(req, res);
-    });
+  private _rejectRequest(
+    req: IncomingMessage,
+    res: ServerResponse,
+    error: unknown
+  ): void {
+    const status = isHttpError(error) ? error.status : 500;
+    if (status >= 500) {
+      this.log.error({ err: error }, "Request handling error");
+    }
 
-    // Start server on specified port
-    server.listen(port, () => {
-      // Log listening message to console when server starts
-      console.log(`Server listening on port ${port}`);
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
 
-      // Execute optional callback after server starts
-      if (callback) {
-        callback();
-      }
-    });
+    const statusText = STATUS_CODES[status] || "Error";
+    const expose =
+      (isHttpError(error) && error.expose === true) ||
+      this.config.exposeErrors === true;
+    const body: ErrorResponseBody = {
+      error: statusText,
+      message: expose ? (error as Error)?.message || String(error) : statusText,
+      path: (req.url || "/").split("?")[0],
+      method: req.method || "GET",
+    };
 
-    return server;
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(body));
   }
+
+  /**
+   * Write the access log entry of a request once its response is done
+   * Server errors are logged at the error level, aborted requests at warn
+   * @param request - Request wrapper object
+   * @param res - Node.js response object
+   * @param responseTime - Milliseconds taken to respond
+   * @private
+   */
+  private _logAccess(
+    request: Request,
+    res: ServerResponse,
+    responseTime: number
+  ): void {
+    const redacted = this.config.redactHeaders ?? DEFAULT_REDACTED_HEADERS;
+    const entry = {
+      req: {
+        method: request.method,
+        url: request.originalUrl,
+        route: request.routePath,
+        headers: redactHeaders(
+          request.headers,
+          redacted.map((name: string) => name.toLowerCase())
+        ),
+        remoteAddress: res.req.socket?.remoteAddress,
+      },
+      res: { statusCode: res.statusCode },
+      responseTime,
+    };
+
+    // WebSocket connections are logged once they close, with their duration
+    if (!res.writableFinished && res.statusCode !== 101) {
+      request.log.warn(entry, "request aborted");
+    } else if (res.statusCode >= 500) {
+      request.log.error(entry, "request completed");
+    } else {
+      request.log.info(entry, "request completed");
+    }
+  }
+
+  /**
+   * Route a request and run its middleware, handlers and error handlers
+   * Mounted apps are dispatched with the request of the app they are mounted on
+   * @param request - Request wrapper object
+   * @param response - Response wrapper object
+   * @param fallback - Receives errors this app's error handlers leave unhandled
+   * @private
+   */
+  private async _dispatch(
+    request: Request,
+    response: Response,
+    fallback?: (error: unknown) => Promise<void>
+  ): Promise<void> {
+    // Params of the prefix this app is mounted under
+    const inheritedParams = request.params;
+    let match: RouteMatch | null = null;
+
+    try {
+      // Implement route matching logic using router; WebSocket upgrades
+      // fall back to the routes of their GET method
+      match =
+        (request._upgrade &&
+          this.router.match(WEBSOCKET_METHOD, request.path)) ||
+        this.router.match(request.method, request.path);
+      request.routePath = match ? request._routePrefix + match.path : undefined;
+
+      // No route for this method: answer OPTIONS, or respond 405/404
+      if (!match) {
+        match = this._matchUnrouted(request);
+      }
+
+      // Extract and assign route params to request object
+      request.params = { ...inheritedParams, ...match.params };
+      const route = match;
+      this._trackResponse(request, response, route);
+
+      // Errors thrown by onSend hooks and middleware writing last (sessions,
+      // compression) go to the error handlers too
+      response._onSendError((error) =>
+        this._handleError(error, request, response, route, fallback)
+      );
+
+      await runHooks(this._routeHooks("onRequest", route), request, response);
+      if (response._sent) {
+        return;
+      }
+
+      // Configure body parsing for the route; the body is only read when needed
+      const bodyMode = resolveBodyMode(
+        this.config.bodyParser,
+        route.options.bodyParser
+      );
+      request._setBodyParsers(
+        resolveBodyParsers(
+          this.config.bodyParser,
+          route.options.bodyParser,
+          this.contentTypeParsers
+        )
+      );
+
+      if (bodyMode === "eager") {
+        await request._parseBody();
+      }
+
+      // Objects sent by the route go through its serializers
+      response._setSerializers(route.options.serializers);
+
+      // Combine global middleware with route-specific middleware
+      const middlewareStack = [...this.middleware, ...(route.middleware || [])];
+
+      // Errors passed to next() by middleware or handlers go to the error pipeline
+      const onError = (error: unknown): Promise<void> =>
+        this._handleError(error, request, response, route, fallback);
+
+      // Create final handler that executes all route handlers
+      const finalHandler = async (): Promise<void> => {
+        // Read the body only once the request made it through middleware
+        const { schema } = route.options;
+        if (bodyMode === "auto" || (schema?.body && bodyMode === "lazy")) {
+          await request._parseBody();
+        }
+
+        await runHooks(
+          this._routeHooks("preValidation", route),
+          request,
+          response
+        );
+
+        // Validated and coerced values replace params, query and body
+        if (schema && !response._sent) {
+          validateRequest(request, schema);
+        }
+
+        await runHooks(this._routeHooks("preHandler", route), request, response);
+
+        for (const handler of route.handlers) {
+          if (response._sent) break;
+          await (handler as MiddlewareFunction)(request, response, (error) =>
+            error ? onError(error) : undefined
+          );
+        }
+      };
+
+      // Execute middleware chain followed by route handlers
+      await this._executeMiddleware(
+        request,
+        response,
+        middlewareStack,
+        finalHandler,
+        onError
+      );
+    } catch (error) {
+      await this._handleError(error, request, response, match, fallback);
+    }
+  }
+
+  /**
+   * Collect the hooks of a stage for a route: the app's, then those of its
+   * groups, outermost first
+   * @param name - Lifecycle stage
+   * @param route - Matched route
+   * @returns Hooks in the order they run
+   * @private
+   */
+  private _routeHooks<K extends HookName>(
+    name: K,
+    route: RouteMatch | null
+  ): Array<Hooks[K]> {
+    const groups = route?.groups || [];
+    return [this.hooks, ...groups.map((group) => group.hooks)].flatMap(
+      (hooks): Array<Hooks[K]> => hooks[name]
+    );
+  }
+
+  /**
+   * Register the onSend and onResponse hooks of a route for a response, and
+   * the ETag handling of the app
+   * @param req - Request wrapper object
+   * @param res - Response wrapper object
+   * @param route - Matched route
+   * @private
+   */
+  private _trackResponse(req: Request, res: Response, route: RouteMatch): void {
+    const onSend = this._routeHooks("onSend", route);
+    if (onSend.length > 0) {
+      res._onBeforeSend(async (payload) => {
+        let current = payload;
+        for (const hook of onSend) {
+          const replaced = await hook(req, res, current);
+          if (replaced !== undefined) {
+            current = replaced;
+          }
+        }
+        return current;
+      });
+    }
+
+    // ETags cover the payload left by onSend hooks, before compression
+    const { etag } = this.config;
+    if (etag) {
+      res._handleConditional(etag !== "strong");
+    }
+
+    // The response can no longer change, so failures are only logged
+    const onResponse = this._routeHooks("onResponse", route);
+    if (onResponse.length > 0) {
+      res.raw.once("close", async () => {
+        for (const hook of onResponse) {
+          try {
+            await hook(req, res);
+          } catch (error) {
+            logHookError(req.log, "onResponse", error);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Run the onClose hooks of mounted apps, then those of this app
+   * Failures are logged so every hook gets to run
+   * @private
+   */
+  async _runCloseHooks(): Promise<void> {
+    for (const app of this.mounts.values()) {
+      await app._runCloseHooks();
+    }
+
+    for (const hook of this.hooks.onClose) {
+      try {
+        await hook();
+      } catch (error) {
+        logHookError(this.log, "onClose", error);
+      }
+    }
+  }
+
+  /**
+   * Resolve a request that no route matches for its method
+   * Returns a synthetic route so global middleware (cors, static files,
+   * logging) still runs: OPTIONS gets an automatic response listing the
+   * allowed methods, other methods a 405 with an Allow header if the path
+   * exists, or a 404 if it does not
+   * @param req - Request wrapper object
+   * @returns Synthetic route match
+   * @private
+   */
+  private _matchUnrouted(req: Request): RouteMatch {
+    const allowed = this.router.allowedMethods(req.path);
+    const message = `Cannot ${req.method} ${req.baseUrl}${req.path}`;
+
+    // WebSocket routes are reached with GET
+    const websocket = allowed.includes(WEBSOCKET_METHOD);
+    const methods = allowed.filter((method) => method !== WEBSOCKET_METHOD);
+    if (websocket && !methods.includes("GET")) {
+      methods.unshift("GET", "HEAD");
+    }
+    const allow = methods.join(", ");
+
+    let handler: RouteHandler;
+    if (allowed.length === 0) {
+      handler = () => {
+        throw new NotFound(message);
+      };
+    } else if (
+      websocket &&
+      (req.method === "GET" || req.method === "HEAD")
+    ) {
+      handler = () => {
+        throw createError(426, "WebSocket upgrade required", {
+          headers: { Upgrade: "websocket" },
+        });
+      };
+    } else if (req.method !== "OPTIONS") {
+      handler = () => {
+        throw new MethodNotAllowed(message, { headers: { Allow: allow } });
+      };
+    } else {
+      handler = (_req, res) => {
+        res.setHeader("Allow", allow).status(204).end();
+      };
+    }
+
+    return {
+      method: req.method,
+      path: req.path,
+      regex: /^$/,
+      paramNames: [],
+      handlers: [handler],
+      middleware: [],
+      groups: [],
+      options: { bodyParser: false },
+      params: {},
+    };
+  }
+
+  /**
+   * Run the error handler pipeline for a failed request
+   * Group handlers run innermost first, then application handlers,
+   * then the default handler if no handler sent a response
+   * @param error - Thrown value or error passed to next()
+   * @param req - Request wrapper object
+   * @param res - Response wrapper object
+   * @param route - Matched route, or null if routing failed
+   * @param fallback - Receives the error instead of the default handler
+   * @private
+   */
+  private async _handleError(
+    error: unknown,
+    req: Request,
+    res: Response,
+    route: RouteMatch | null,
+    fallback?: (error: unknown) => Promise<void>
+  ): Promise<void> {
+    // onError hooks observe the error; they cannot handle it
+    for (const hook of this._routeHooks("onError", route)) {
+      try {
+        await hook(req, res, error);
+      } catch (thrown) {
+        logHookError(req.log, "onError", thrown);
+      }
+    }
+
+    const groups = route ? [...route.groups].reverse() : [];
+    const handlers = [
+      ...groups.flatMap((group) => group.errorHandlers),
+      ...this.errorHandlers,
+    ];
+
+    let current = error;
+    for (const handler of handlers) {
+      if (res._sent) {
+        return;
+      }
+
+      try {
+        await handler(current, req, res, (nextError?: Error) => {
+          // next(err) replaces the error seen by the remaining handlers
+          if (nextError !== undefined) {
+            current = nextError;
+          }
+        });
+      } catch (thrown) {
+        current = thrown;
+      }
+    }
+
+    // Mounted apps hand unhandled errors to the app they are mounted on
+    if (fallback && !res._sent) {
+      await fallback(current);
+      return;
+    }
+
+    this._sendError(current, req, res);
+  }
+
+  /**
+   * Default error handler
+   * Sends the error status (500 for unknown errors) as JSON and hides
+   * messages of unexposed errors unless the exposeErrors option is set
+   * @param error - Unhandled error
+   * @param req - Request wrapper object
+   * @param res - Response wrapper object
+   * @private
+   */
+  private _sendError(error: unknown, req: Request, res: Response): void {
+    const status = isHttpError(error) ? error.status : 500;
+
+    // Log server errors with their stack trace
+    if (status >= 500) {
+      req.log.error({ err: error }, "Request handling error");
+    }
+
+    // Ensure error response is only sent if response hasn't been sent already
+    if (res._sent) {
+      return;
+    }
+
+    const statusText = STATUS_CODES[status] || "Error";
+    const expose =
+      (isHttpError(error) && error.expose === true) ||
+      this.config.exposeErrors === true;
+
+    const body: ErrorResponseBody = {
+      error: statusText,
+      message: expose
+        ? (error as Error)?.message || String(error)
+        : statusText,
+      path: req.path,
+      method: req.method,
+    };
+
+    if (isHttpError(error)) {
+      for (const [key, value] of Object.entries(error.headers || {})) {
+        if (value !== undefined) {
+          res.setHeader(key, value);
+        }
+      }
+
+      if (error.details !== undefined && expose) {
+        body.details = error.details;
+      }
+    }
+
+    // Replace a Content-Type the failed handler may have set
+    res
+      .status(status)
+      .setHeader("Content-Type", "application/json")
+      .json(body);
+  }
+
+  /**
+   * Send a simulated request through the app without opening a socket
+   * Runs the full request pipeline, which makes tests fast and port-free
+   * Usage: const res = await app.inject({ method: 'POST', url: '/users', payload: { name: 'Ada' } })
+   * @param options - Method, URL, headers, query, cookies and payload of the request
+   * @returns Resolves with the status, headers and body of the response
+   */
+  inject(options: InjectOptions = {}): Promise<InjectResponse> {
+    return inject((req, res) => this._handleRequest(req, res), options);
+  }
+
+  /**
+   * The server most recently created by listen(), or null
+   */
+  get server(): AppServer | null {
+    return this.lastServer;
+  }
+
+  /**
+   * Start the HTTP server on the specified port
+   * @param port - Port number to listen on
+   * @param callback - Optional callback to execute after server starts
+   * @returns The HTTP server instance
+   */
+  listen(port: number, callback?: () => void): Server;
+
+  /**
+   * Start the server and wait until it is listening
+   * The protocol follows the https and http2 app options
+   * Usage: const { port } = await app.listen({ port: 0, host: '127.0.0.1' })
+   * @param options - Port and host, or a Unix socket path
+   * @returns Resolves with the bound address (a path for Unix sockets)
+   * @throws {Error} If the server cannot listen, e.g. EADDRINUSE
+   */
+  listen(options: ListenOptions): Promise<AddressInfo | string>;
+
+  listen(
+    target: number | ListenOptions,
+    callback?: () => void
+  ): Server | Promise<AddressInfo | string> {
+    const server = this._createServer();
+
+    if (typeof target !== "object") {
+      // Start server on specified port
+      server.listen(target, () => {
+        // Log listening message when server starts
+        this.log.info(`Server listening on port ${target}`);
+
+        // Execute optional callback after server starts
+        if (callback) {
+          callback();
+        }
+      });
+
+      return server as Server;
+    }
+
+    const { port = 0, host, path, backlog } = target;
+    return new Promise((resolve, reject) => {
+      const onError = (error: Error): void => {
+        this.servers.delete(server);
+        reject(error);
+      };
+
+      server.once("error", onError);
+      server.listen(
+        path !== undefined ? { path, backlog } : { port, host, backlog },
+        () => {
+          const address = server.address() as AddressInfo | string;
+          server.removeListener("error", onError);
+          this.log.info({ address }, "Server listening");
+          resolve(address);
+        }
+      );
+    });
+  }
+
+  /**
+   * Create a server for this app and track it for shutdown
+   * @returns Server, not listening yet
+   * @private
+   */
+  private _createServer(): AppServer {
+    const server = createAppServer(this.config, (req, res) => {
+      this._handleRequest(req, res).catch((error) =>
+        this._rejectRequest(req, res, error)
+      );
+    });
+
+    // Servers closed directly, not by app.close(), still run onClose hooks
+    this.servers.add(server);
+    this.lastServer = server;
+    this._listenForUpgrades();
+    server.once("close", () => {
+      this.servers.delete(server);
+      if (!this.closing) {
+        this._runCloseHooks();
+      }
+    });
+    this._installSignalHandlers();
+
+    return server;
+  }
+
+  /**
+   * Shut the app down gracefully
+   * Stops accepting connections, closes idle keep-alive connections, waits
+   * for in-flight requests, then runs the onClose hooks; connections still
+   * open when the timeout is reached are closed forcibly
+   * Usage: await app.close({ timeout: 30000 })
+   * @param options - Shutdown timeout
+   * @returns Resolves once the servers closed and the onClose hooks ran
+   */
+  close(options: CloseOptions = {}): Promise<void> {
+    if (!this.closing) {
+      const timeout =
+        options.timeout ??
+        this.config.shutdown?.timeout ??
+        DEFAULT_CLOSE_TIMEOUT;
+      this.closing = this._close(timeout);
+    }
+
+    return this.closing;
+  }
+
+  /**
+   * Register liveness and readiness endpoints for load balancers and
+   * orchestrators; both answer 503 once the app starts shutting down
+   * Usage: app.health({ check: () => db.ping() })
+   * @param options - Endpoint paths and an extra readiness check
+   */
+  health(options: HealthOptions = {}): void {
+    const {
+      livenessPath = "/health/live",
+      readinessPath = "/health/ready",
+      check,
+    } = options;
+
+    const respond = (res: IResponse, up: boolean): void => {
+      const status = up ? "ok" : this.draining ? "draining" : "unavailable";
+      res
+        .status(up ? 200 : 503)
+        .setHeader("Cache-Control", "no-store")
+        .json({ status });
+    };
+
+    const liveness: RouteHandler = (_req, res) => {
+      respond(res, !this.draining);
+    };
+
+    const readiness: RouteHandler = async (_req, res) => {
+      let ready = !this.draining;
+      if (ready && check) {
+        try {
+          ready = (await check()) !== false;
+        } catch {
+          ready = false;
+        }
+      }
+      respond(res, ready);
+    };
+
+    this.get(livenessPath, { schema: { hide: true } }, liveness);
+    this.get(readinessPath, { schema: { hide: true } }, readiness);
+  }
+
+  /**
+   * Drain and close the servers, then run the onClose hooks
+   * @param timeout - Milliseconds to wait for in-flight requests
+   * @private
+   */
+  private async _close(timeout: number): Promise<void> {
+    this._setDraining();
+    this._removeSignalHandlers();
+
+    const servers = [...this.servers];
+    const closed = Promise.all(
+      servers.map(
+        (server) =>
+          new Promise<void>((resolve) => server.close(() => resolve()))
+      )
+    );
+    servers.forEach(closeIdleConnections);
+
+    // Wait for in-flight requests, up to the timeout
+    if (this.inFlight > 0) {
+      await new Promise<void>((resolve) => {
+        const timer = setTimeout(resolve, timeout);
+        this.onDrained = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this.onDrained = null;
+    }
+
+    servers.forEach(closeAllConnections);
+    await closed;
+    await this._runCloseHooks();
+  }
+
+  /**
+   * Mark this app and the apps mounted on it as shutting down, and close
+   * their WebSocket connections with 1001 (going away)
+   * @private
+   */
+  _setDraining(): void {
+    this.draining = true;
+    for (const socket of this.webSockets) {
+      socket.close(1001, "Server shutting down");
+    }
+    for (const app of this.mounts.values()) {
+      app._setDraining();
+    }
+  }
+
+  /**
+   * Close the app when the process receives the configured signals
+   * The signal is raised again once the app closed, so the process exits
+   * with the usual status; a second signal during shutdown exits at once
+   * @private
+   */
+  private _installSignalHandlers(): void {
+    const { signals } = this.config.shutdown || {};
+    if (!signals || this.signalHandlers.size > 0 || this.closing) {
+      return;
+    }
+
+    for (const signal of signals === true ? DEFAULT_SIGNALS : signals) {
+      const handler = (): void => {
+        this.close().then(() => process.kill(process.pid, signal));
+      };
+      this.signalHandlers.set(signal, handler);
+      process.once(signal, handler);
+    }
+  }
+
+  /**
+   * Remove the signal handlers installed by listen()
+   * @private
+   */
+  private _removeSignalHandlers(): void {
+    for (const [signal, handler] of this.signalHandlers) {
+      process.removeListener(signal, handler);
+    }
+    this.signalHandlers.clear();
+  }
+
+}
+
+/**
+ * Default time app.close() waits for in-flight requests, in milliseconds
+ */
+const DEFAULT_CLOSE_TIMEOUT = 10000;
+
+/**
+ * Signals handled when the shutdown.signals option is true
+ */
+const DEFAULT_SIGNALS: NodeJS.Signals[] = ["SIGTERM", "SIGINT"];
+
+/**
+ * Lifecycle stages hooks can be registered for
+ */
+const HOOK_NAMES: HookName[] = [
+  "onRequest",
+  "preValidation",
+  "preHandler",
+  "onSend",
+  "onResponse",
+  "onError",
+  "onClose",
+];
+
+/**
+ * Route param carrying the path below the prefix of a mounted app
+ */
+const MOUNT_PATH_PARAM = "__zyraMountPath";
+
+/**
+ * Pseudo-method WebSocket routes are registered under
+ */
+const WEBSOCKET_METHOD = "WEBSOCKET";
+
+/**
+ * Normalize a path prefix so it starts with / and doesn't end with /
+ * @param prefix - Path prefix
+ * @returns Normalized prefix ("/" for the root)
+ */
+function normalizePrefix(prefix: string): string {
+  const normalizedPrefix = prefix.startsWith("/") ? prefix : `/${prefix}`;
+  return normalizedPrefix.endsWith("/") && normalizedPrefix.length > 1
+    ? normalizedPrefix.slice(0, -1)
+    : normalizedPrefix;
+}
+
+/**
+ * Restrict middleware to requests below a path prefix
+ * The prefix is stripped from req.path and appended to req.baseUrl while it runs
+ * @param prefix - Normalized path prefix
+ * @param middleware - Middleware function
+ * @returns Middleware running only for matching paths
+ */
+function scopeMiddleware(
+  prefix: string,
+  middleware: MiddlewareFunction
+): MiddlewareFunction {
+  if (prefix === "/") {
+    return middleware;
+  }
+
+  const matcher = pathToRegexp(prefix, [], { end: false });
+
+  return async (req, res, next) => {
+    const matched = matcher.exec(req.path);
+    if (!matched) {
+      await next();
+      return;
+    }
+
+    const { path, baseUrl } = req;
+    const base = matched[0].replace(/\/$/, "");
+    const restore = (): void => {
+      req.path = path;
+      req.baseUrl = baseUrl;
+    };
+
+    req.baseUrl = baseUrl + base;
+    req.path = path.slice(base.length) || "/";
+
+    try {
+      await middleware(req, res, async (error) => {
+        restore();
+        await next(error);
+      });
+    } finally {
+      restore();
+    }
+  };
+}
+
+/**
+ * Restrict an error handler to requests below a path prefix
+ * @param prefix - Normalized path prefix
+ * @param handler - Error handler
+ * @returns Error handler running only for matching paths
+ */
+function scopeErrorHandler(prefix: string, handler: ErrorHandler): ErrorHandler {
+  if (prefix === "/") {
+    return handler;
+  }
+
+  const matcher = pathToRegexp(prefix, [], { end: false });
+
+  // Handlers that do not respond pass the error on, so skipping is enough
+  return (err, req, res, next) =>
+    matcher.test(req.path) ? handler(err, req, res, next) : undefined;
+}
+
+/**
+ * Create an empty hook store
+ * @returns Store with no hooks for every stage
+ */
+function createHookStore(): HookStore {
+  return Object.fromEntries(
+    HOOK_NAMES.map((name) => [name, []])
+  ) as unknown as HookStore;
+}
+
+/**
+ * Validate a hook registration
+ * @param name - Lifecycle stage
+ * @param hook - Hook function
+ * @throws {TypeError} If the stage is unknown or the hook is not a function
+ */
+function assertHook(name: string, hook: unknown): void {
+  if (!HOOK_NAMES.includes(name as HookName)) {
+    throw new TypeError(
+      `Unknown hook "${name}", expected one of ${HOOK_NAMES.join(", ")}`
+    );
+  }
+
+  if (typeof hook !== "function") {
+    throw new TypeError(`The ${name} hook must be a function`);
+  }
+}
+
+/**
+ * Run request hooks in order, stopping once one sends a response
+ * @param hooks - Hooks to run
+ * @param req - Request wrapper object
+ * @param res - Response wrapper object
+ */
+async function runHooks(
+  hooks: RequestHook[],
+  req: Request,
+  res: Response
+): Promise<void> {
+  for (const hook of hooks) {
+    if (res._sent) {
+      return;
+    }
+    await hook(req, res);
+  }
+}
+
+/**
+ * Log an error thrown by a hook that runs outside the error pipeline
+ * @param log - Logger of the request or app
+ * @param name - Lifecycle stage of the hook
+ * @param error - Thrown error
+ */
+function logHookError(log: Logger, name: string, error: unknown): void {
+  log.error({ err: error }, `${name} hook error`);
+}
+
+/**
+ * Check whether a middleware function is an error handler
+ * Error handlers are recognised by declaring four parameters (err, req, res, next)
+ * @param fn - Middleware or error handler
+ * @returns True if the function is an error handler
+ */
+function isErrorHandler(
+  fn: MiddlewareFunction | ErrorHandler
+): fn is ErrorHandler {
+  return fn.length === 4;
+}
+
+/**
+ * Validate and normalize HTTP method names
+ * @param method - Method name or list of names
+ * @returns Upper-cased method names
+ * @throws {TypeError} If a name is not a valid HTTP method token
+ */
+function normalizeMethods(method: string | string[]): string[] {
+  const methods = Array.isArray(method) ? method : [method];
+
+  return methods.map((name) => {
+    if (typeof name !== "string" || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      throw new TypeError(`Invalid HTTP method: "${name}"`);
+    }
+    return name.toUpperCase();
+  });
+}
+
+/**
+ * Create a chainable route definition for a single path
+ * @param register - Registers a route for the path with the given method
+ * @returns Route chain whose methods return the chain itself
+ */
+function createRouteChain(
+  register: (method: string, args: RouteArgs) => void
+): RouteChain {
+  const chain: RouteChain = {
+    get: (...args) => (register("GET", args), chain),
+    post: (...args) => (register("POST", args), chain),
+    put: (...args) => (register("PUT", args), chain),
+    delete: (...args) => (register("DELETE", args), chain),
+    patch: (...args) => (register("PATCH", args), chain),
+    head: (...args) => (register("HEAD", args), chain),
+    options: (...args) => (register("OPTIONS", args), chain),
+    all: (...args) => (register(ALL_METHODS, args), chain),
+    on: (method, ...args) => {
+      normalizeMethods(method).forEach((name) => register(name, args));
+      return chain;
+    },
+  };
+
+  return chain;
 }
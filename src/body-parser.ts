@@ -0,0 +1,365 @@
+import { IncomingMessage, IncomingHttpHeaders } from "http";
+import { Http2ServerRequest } from "http2";
+import { Readable } from "stream";
+import { TextDecoder } from "util";
+import { BadRequest, PayloadTooLarge, UnsupportedMediaType } from "./errors";
+import { parseBytes } from "./utils/bytes";
+import {
+  MediaType,
+  parseContentType,
+  matchesType,
+} from "./utils/content-type";
+import { searchParamsToObject } from "./utils/query";
+import { parseMultipart } from "./multipart";
+import type { IRequest, RequestBody } from "./types/request.js";
+import type {
+  BodyParseMode,
+  BodyParserOptions,
+  ContentTypeParser,
+  ContentTypeParserOptions,
+  ParserOptions,
+  TextParserOptions,
+} from "./types/body-parser.js";
+
+/**
+ * Default size limit applied to every parser
+ */
+export const DEFAULT_BODY_LIMIT = "1mb";
+
+/**
+ * Content types accepted by each built-in parser
+ */
+const DEFAULT_TYPES = {
+  json: ["application/json", "application/*+json"],
+  urlencoded: ["application/x-www-form-urlencoded"],
+  text: ["text/*"],
+  raw: ["application/octet-stream"],
+  multipart: ["multipart/form-data"],
+};
+
+/**
+ * Custom parser registered with app.addContentTypeParser()
+ */
+export interface RegisteredParser {
+  types: string[];
+  parser: ContentTypeParser;
+  options: ContentTypeParserOptions;
+}
+
+/**
+ * Parser with its configuration resolved for a specific route
+ * Buffering parsers implement parse(); streaming parsers implement consume()
+ */
+export interface ResolvedParser {
+  types: string[];
+  limit: number;
+  parse?: (
+    body: Buffer,
+    req: IRequest,
+    mediaType: MediaType
+  ) => RequestBody | Promise<RequestBody>;
+  consume?: (
+    raw: Readable,
+    req: IRequest,
+    mediaType: MediaType
+  ) => Promise<RequestBody>;
+}
+
+/**
+ * Merge application and route body parser options into the parser list for a route
+ * @param appOptions - Body parser options from AppOptions
+ * @param routeOptions - Body parser options from the route
+ * @param customParsers - Parsers registered with app.addContentTypeParser()
+ * @returns Parsers to try in order, or null if body parsing is disabled
+ */
+export function resolveBodyParsers(
+  appOptions: BodyParserOptions | false | undefined,
+  routeOptions: BodyParserOptions | false | undefined,
+  customParsers: RegisteredParser[]
+): ResolvedParser[] | null {
+  if (routeOptions === false || (appOptions === false && !routeOptions)) {
+    return null;
+  }
+
+  const app = appOptions || {};
+  const route = routeOptions || {};
+  const defaultLimit = parseBytes(
+    route.limit ?? app.limit ?? DEFAULT_BODY_LIMIT
+  );
+
+  // Route options override application options parser by parser
+  const pick = <K extends "json" | "urlencoded" | "text" | "raw" | "multipart">(
+    key: K
+  ): BodyParserOptions[K] => (route[key] !== undefined ? route[key] : app[key]);
+
+  const resolveLimit = (options: ParserOptions | ContentTypeParserOptions) =>
+    options.limit !== undefined ? parseBytes(options.limit) : defaultLimit;
+
+  const resolveTypes = (options: ParserOptions, defaults: string[]) =>
+    options.type === undefined
+      ? defaults
+      : Array.isArray(options.type)
+      ? options.type
+      : [options.type];
+
+  // Custom parsers take precedence over the built-in ones
+  const parsers: ResolvedParser[] = customParsers.map((custom) => ({
+    types: custom.types,
+    limit: resolveLimit(custom.options),
+    parse: (body, req) => custom.parser(body, req),
+  }));
+
+  const json = pick("json");
+  if (json !== false) {
+    parsers.push({
+      types: resolveTypes(json || {}, DEFAULT_TYPES.json),
+      limit: resolveLimit(json || {}),
+      parse: (body, _req, mediaType) => parseJson(body, mediaType),
+    });
+  }
+
+  const urlencoded = pick("urlencoded");
+  if (urlencoded !== false) {
+    parsers.push({
+      types: resolveTypes(urlencoded || {}, DEFAULT_TYPES.urlencoded),
+      limit: resolveLimit(urlencoded || {}),
+      parse: parseUrlencoded,
+    });
+  }
+
+  const text = pick("text");
+  if (text !== false) {
+    const defaultCharset = (text as TextParserOptions)?.defaultCharset;
+    parsers.push({
+      types: resolveTypes(text || {}, DEFAULT_TYPES.text),
+      limit: resolveLimit(text || {}),
+      parse: (body, _req, mediaType) =>
+        decodeText(body, mediaType.parameters.charset || defaultCharset),
+    });
+  }
+
+  const raw = pick("raw");
+  if (raw !== false) {
+    parsers.push({
+      types: resolveTypes(raw || {}, DEFAULT_TYPES.raw),
+      limit: resolveLimit(raw || {}),
+      parse: (body) => body,
+    });
+  }
+
+  // Multipart bodies are streamed and bounded by the multipart limits instead
+  const multipart = pick("multipart");
+  if (multipart !== false) {
+    parsers.push({
+      types: resolveTypes(multipart || {}, DEFAULT_TYPES.multipart),
+      limit: Infinity,
+      consume: async (raw, req, mediaType) => {
+        const { fields, files } = await parseMultipart(
+          raw,
+          mediaType,
+          multipart || {}
+        );
+        req.files = files;
+        return fields;
+      },
+    });
+  }
+
+  return parsers;
+}
+
+/**
+ * Check whether a request carries a body
+ * HTTP/2 clients may send a body without Content-Length; there, only a
+ * stream that ended with its headers has none
+ * @param req - Node.js request object
+ * @returns True if the request has a non-empty, chunked or HTTP/2 body
+ */
+export function hasBody(req: IncomingMessage): boolean {
+  if (req.headers["transfer-encoding"] !== undefined) {
+    return true;
+  }
+
+  if (req.headers["content-length"] !== undefined) {
+    const length = Number(req.headers["content-length"]);
+    return !Number.isNaN(length) && length > 0;
+  }
+
+  if (req.httpVersionMajor >= 2) {
+    const { stream } = req as unknown as Http2ServerRequest;
+    return !stream?.endAfterHeaders;
+  }
+
+  return false;
+}
+
+/**
+ * Find the parser accepting the content type of a request
+ * @param headers - Request headers
+ * @param parsers - Parsers resolved for the matched route
+ * @returns The parser and the parsed content type
+ * @throws {UnsupportedMediaType} If no parser accepts the content type or encoding
+ */
+export function selectParser(
+  headers: IncomingHttpHeaders,
+  parsers: ResolvedParser[]
+): { parser: ResolvedParser; mediaType: MediaType } {
+  const mediaType = parseContentType(
+    headers["content-type"] || "application/octet-stream"
+  );
+  const parser = parsers.find((candidate) =>
+    candidate.types.some((type) => matchesType(mediaType.type, type))
+  );
+
+  if (!parser) {
+    throw new UnsupportedMediaType(
+      `Unsupported content type "${mediaType.type}"`
+    );
+  }
+
+  const encoding = (headers["content-encoding"] || "identity").toLowerCase();
+  if (encoding !== "identity") {
+    throw new UnsupportedMediaType(
+      `Unsupported content encoding "${encoding}"`
+    );
+  }
+
+  return { parser, mediaType };
+}
+
+/**
+ * Resolve when the body of a route is read
+ * @param appOptions - Body parser options from AppOptions
+ * @param routeOptions - Body parser options from the route
+ * @returns "eager", "auto" or "lazy" (default)
+ */
+export function resolveBodyMode(
+  appOptions: BodyParserOptions | false | undefined,
+  routeOptions: BodyParserOptions | false | undefined
+): BodyParseMode {
+  if (routeOptions === false || (appOptions === false && !routeOptions)) {
+    return "lazy";
+  }
+
+  return routeOptions?.mode ?? (appOptions || {}).mode ?? "lazy";
+}
+
+/**
+ * Buffer a request body, enforcing a size limit
+ * @param raw - Node.js request object
+ * @param limit - Maximum number of bytes
+ * @returns Body contents
+ * @throws {PayloadTooLarge} If the declared or received size exceeds the limit
+ */
+export function readBody(raw: IncomingMessage, limit: number): Promise<Buffer> {
+  const tooLarge = () =>
+    new PayloadTooLarge(`Request body exceeds the ${limit} byte limit`);
+
+  // Reject early when Content-Length already exceeds the limit
+  const declaredLength = Number(raw.headers["content-length"]);
+  if (!Number.isNaN(declaredLength) && declaredLength > limit) {
+    return Promise.reject(tooLarge());
+  }
+
+  return new Promise<Buffer>((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let received = 0;
+
+    const cleanup = (): void => {
+      raw.off("data", onData);
+      raw.off("end", onEnd);
+      raw.off("error", onError);
+      raw.off("close", onClose);
+    };
+
+    const onData = (chunk: Buffer): void => {
+      received += chunk.length;
+      if (received > limit) {
+        cleanup();
+        // Keep draining so the connection can be reused
+        raw.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    const onEnd = (): void => {
+      cleanup();
+      resolve(Buffer.concat(chunks, received));
+    };
+
+    const onError = (error: Error): void => {
+      cleanup();
+      reject(error);
+    };
+
+    const onClose = (): void => {
+      cleanup();
+      reject(new BadRequest("Request aborted"));
+    };
+
+    raw.on("data", onData);
+    raw.on("end", onEnd);
+    raw.on("error", onError);
+    raw.on("close", onClose);
+  });
+}
+
+/**
+ * Ensure a body is declared as UTF-8 (the only charset JSON and forms allow)
+ * @param mediaType - Parsed request content type
+ * @throws {UnsupportedMediaType} If another charset is declared
+ */
+function assertUtf8(mediaType: MediaType): void {
+  const charset = (mediaType.parameters.charset || "utf-8").toLowerCase();
+  if (charset !== "utf-8" && charset !== "utf8") {
+    throw new UnsupportedMediaType(`Unsupported charset "${charset}"`);
+  }
+}
+
+/**
+ * Parse a JSON body
+ * @throws {BadRequest} If the body is not valid JSON
+ */
+export function parseJson(body: Buffer, mediaType: MediaType): any {
+  assertUtf8(mediaType);
+
+  const text = body.toString("utf8");
+  if (text.trim() === "") {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new BadRequest("Invalid JSON in request body", { cause: error });
+  }
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded body
+ */
+function parseUrlencoded(
+  body: Buffer,
+  _req: IRequest,
+  mediaType: MediaType
+): any {
+  assertUtf8(mediaType);
+  return searchParamsToObject(new URLSearchParams(body.toString("utf8")));
+}
+
+/**
+ * Decode a text body using the given charset
+ * @throws {UnsupportedMediaType} If the charset is not supported
+ */
+export function decodeText(body: Buffer, charset = "utf-8"): string {
+  let decoder: TextDecoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch (error) {
+    throw new UnsupportedMediaType(`Unsupported charset "${charset}"`);
+  }
+
+  return decoder.decode(body);
+}
@@ -0,0 +1,196 @@
+import { STATUS_CODES, OutgoingHttpHeaders } from "http";
+import { HttpErrorOptions } from "./types/errors";
+
+/**
+ * Base class for errors that map to an HTTP response
+ * Thrown from handlers (or passed to next) to short-circuit with a specific status
+ */
+export class HttpError extends Error {
+  public readonly status: number;
+  public readonly headers: OutgoingHttpHeaders;
+  public expose: boolean;
+  public details?: unknown;
+
+  /**
+   * @param status - HTTP status code (4xx or 5xx)
+   * @param message - Error message (defaults to the status text)
+   * @param options - Extra headers, expose flag, details and cause
+   */
+  constructor(status: number, message?: string, options: HttpErrorOptions = {}) {
+    super(message || STATUS_CODES[status] || "Unknown Error");
+
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      throw new TypeError(`Invalid HTTP error status code: ${status}`);
+    }
+
+    this.name = new.target.name;
+    this.status = status;
+    this.headers = options.headers || {};
+    this.expose = options.expose !== undefined ? options.expose : status < 500;
+    this.details = options.details;
+
+    if (options.cause !== undefined) {
+      (this as { cause?: unknown }).cause = options.cause;
+    }
+  }
+
+  /**
+   * Alias of status for compatibility with libraries that read statusCode
+   */
+  get statusCode(): number {
+    return this.status;
+  }
+}
+
+/** 400 Bad Request */
+export class BadRequest extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(400, message, options);
+  }
+}
+
+/** 401 Unauthorized */
+export class Unauthorized extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(401, message, options);
+  }
+}
+
+/** 403 Forbidden */
+export class Forbidden extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(403, message, options);
+  }
+}
+
+/** 404 Not Found */
+export class NotFound extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(404, message, options);
+  }
+}
+
+/** 405 Method Not Allowed */
+export class MethodNotAllowed extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(405, message, options);
+  }
+}
+
+/** 406 Not Acceptable */
+export class NotAcceptable extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(406, message, options);
+  }
+}
+
+/** 409 Conflict */
+export class Conflict extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(409, message, options);
+  }
+}
+
+/** 410 Gone */
+export class Gone extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(410, message, options);
+  }
+}
+
+/** 412 Precondition Failed */
+export class PreconditionFailed extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(412, message, options);
+  }
+}
+
+/** 413 Payload Too Large */
+export class PayloadTooLarge extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(413, message, options);
+  }
+}
+
+/** 415 Unsupported Media Type */
+export class UnsupportedMediaType extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(415, message, options);
+  }
+}
+
+/** 416 Range Not Satisfiable */
+export class RangeNotSatisfiable extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(416, message, options);
+  }
+}
+
+/** 422 Unprocessable Entity */
+export class UnprocessableEntity extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(422, message, options);
+  }
+}
+
+/** 429 Too Many Requests */
+export class TooManyRequests extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(429, message, options);
+  }
+}
+
+/** 500 Internal Server Error */
+export class InternalServerError extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(500, message, options);
+  }
+}
+
+/** 501 Not Implemented */
+export class NotImplemented extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(501, message, options);
+  }
+}
+
+/** 503 Service Unavailable */
+export class ServiceUnavailable extends HttpError {
+  constructor(message?: string, options?: HttpErrorOptions) {
+    super(503, message, options);
+  }
+}
+
+/**
+ * Create an HttpError for an arbitrary status code
+ * @param status - HTTP status code (4xx or 5xx)
+ * @param message - Optional error message
+ * @param options - Optional headers, expose flag, details and cause
+ * @returns A new HttpError instance
+ */
+export function createError(
+  status: number,
+  message?: string,
+  options?: HttpErrorOptions
+): HttpError {
+  return new HttpError(status, message, options);
+}
+
+/**
+ * Check whether a value is an HttpError (or a compatible error object)
+ * @param error - Value to check
+ * @returns True if the value carries a valid HTTP error status
+ */
+export function isHttpError(error: unknown): error is HttpError {
+  if (error instanceof HttpError) {
+    return true;
+  }
+
+  const status = (error as { status?: unknown } | null)?.status;
+  return (
+    error instanceof Error &&
+    typeof status === "number" &&
+    status >= 400 &&
+    status <= 599
+  );
+}
@@ -1,6 +1,15 @@
 import { App } from "./app";
 import { IApp, AppOptions } from "./types/app";
 import cors from "./middleware/cors";
+import serveStatic from "./middleware/static";
+import session, { MemoryStore } from "./middleware/session";
+import compress from "./middleware/compress";
+import rateLimit, { MemoryRateLimitStore } from "./middleware/rate-limit";
+import securityHeaders from "./middleware/security-headers";
+import { validate } from "./validation";
+import { generateOpenApi } from "./openapi";
+import { createLogger } from "./logger";
+import { generateEtag } from "./utils/etag";
 
 /**
  * Factory function to create a new application instance
@@ -17,6 +26,16 @@ export function createApp(options: AppOptions = {}): IApp {
   return new App(config);
 }
 
+/**
+ * Factory function to create a router that can be mounted on an application
+ * Usage: app.use('/api/v1', usersRouter) or app.mount('/api/v1', usersRouter)
+ * @param options - Optional configuration object (body parser settings, etc.)
+ * @returns A new App instance without a server of its own
+ */
+export function createRouter(options: AppOptions = {}): IApp {
+  return new App({ ...options });
+}
+
 // Export all types for TypeScript users
 export * from "./types";
 
@@ -26,8 +45,29 @@ export { Response } from "./response";
 export { default as Router } from "./router";
 export { App } from "./app";
 
-// Export cors middleware
-export { cors };
+// Export HTTP error classes
+export * from "./errors";
+
+// Export built-in middleware
+export {
+  cors,
+  serveStatic,
+  session,
+  MemoryStore,
+  compress,
+  rateLimit,
+  MemoryRateLimitStore,
+  securityHeaders,
+};
+
+// Export the schema validator used by route schemas and the OpenAPI generator
+export { validate, generateOpenApi };
+
+// Export the built-in JSON logger
+export { createLogger };
+
+// Export the ETag generator used by the etag option
+export { generateEtag };
 
 // Set createApp as default export
 export default createApp;
@@ -37,8 +77,21 @@ export default createApp;
 module.exports = createApp;
 module.exports.default = createApp;
 module.exports.createApp = createApp;
+module.exports.createRouter = createRouter;
 module.exports.cors = cors;
+module.exports.serveStatic = serveStatic;
+module.exports.session = session;
+module.exports.MemoryStore = MemoryStore;
+module.exports.compress = compress;
+module.exports.rateLimit = rateLimit;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
+module.exports.securityHeaders = securityHeaders;
+module.exports.validate = validate;
+module.exports.generateOpenApi = generateOpenApi;
+module.exports.createLogger = createLogger;
+module.exports.generateEtag = generateEtag;
 module.exports.Request = require("./request").Request;
 module.exports.Response = require("./response").Response;
 module.exports.Router = require("./router").default;
 module.exports.App = require("./app").App;
+Object.assign(module.exports, require("./errors"));
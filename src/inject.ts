@@ -0,0 +1,287 @@
+import {
+  IncomingHttpHeaders,
+  IncomingMessage,
+  ServerResponse,
+  STATUS_CODES,
+} from "http";
+import { Socket } from "net";
+import { Readable, Writable } from "stream";
+import type { InjectOptions, InjectResponse } from "./types/inject.js";
+
+/**
+ * Simulated IncomingMessage carrying an injected request
+ * Implements the parts of IncomingMessage the framework and common
+ * middleware rely on; the body is streamed from the payload
+ */
+class InjectedRequest extends Readable {
+  readonly method: string;
+  readonly url: string;
+  readonly headers: IncomingHttpHeaders;
+  readonly rawHeaders: string[];
+  readonly httpVersion = "1.1";
+  readonly httpVersionMajor = 1;
+  readonly httpVersionMinor = 1;
+  readonly socket: Socket;
+  readonly connection: Socket;
+  complete = false;
+  aborted = false;
+  private _payload: Buffer | Readable | null;
+  private _reading: boolean;
+
+  constructor(options: InjectOptions) {
+    super();
+
+    const { headers, payload } = buildHeadersAndPayload(options);
+    this.method = (options.method || "GET").toUpperCase();
+    this.url = buildUrl(options);
+    this.headers = headers;
+    this.rawHeaders = Object.entries(headers).flatMap(([name, value]) =>
+      (Array.isArray(value) ? value : [String(value)]).flatMap((item) => [
+        name,
+        item,
+      ])
+    );
+    this._payload = payload;
+    this._reading = false;
+
+    // Only the connection details handlers read are provided
+    this.socket = {
+      remoteAddress: options.remoteAddress || "127.0.0.1",
+      remotePort: 0,
+      encrypted: false,
+      destroy: () => undefined,
+      setTimeout: () => undefined,
+    } as unknown as Socket;
+    this.connection = this.socket;
+  }
+
+  /**
+   * Push the payload into the stream as the body is read
+   * Stream payloads are forwarded with backpressure
+   * @private
+   */
+  _read(): void {
+    const payload = this._payload;
+
+    if (!(payload instanceof Readable)) {
+      this._payload = null;
+      if (payload && payload.length > 0) {
+        this.push(payload);
+      }
+      this._end();
+      return;
+    }
+
+    if (this._reading) {
+      payload.resume();
+      return;
+    }
+
+    this._reading = true;
+    payload.on("data", (chunk) => {
+      if (!this.push(chunk)) {
+        payload.pause();
+      }
+    });
+    payload.once("end", () => this._end());
+    payload.once("error", (error) => this.destroy(error));
+  }
+
+  /**
+   * Mark the body as fully received
+   * @private
+   */
+  private _end(): void {
+    this.complete = true;
+    this.push(null);
+  }
+}
+
+/**
+ * ServerResponse whose output is captured instead of sent over a socket
+ */
+class InjectedResponse extends ServerResponse {
+  private _chunks: Buffer[];
+
+  constructor(req: IncomingMessage) {
+    super(req);
+    this._chunks = [];
+
+    // Headers and body are still serialized, then discarded by the socket
+    this.assignSocket(
+      new Writable({
+        write: (_chunk, _encoding, callback) => callback(),
+      }) as Socket
+    );
+  }
+
+  write(chunk: any, ...args: any[]): boolean {
+    this._capture(chunk, args[0]);
+    return super.write(chunk, ...(args as []));
+  }
+
+  end(...args: any[]): this {
+    if (typeof args[0] !== "function") {
+      this._capture(args[0], args[1]);
+    }
+    return super.end(...(args as []));
+  }
+
+  /**
+   * Build the result of the injected request
+   * @returns Captured status, headers and body
+   */
+  _result(): InjectResponse {
+    const status = this.statusCode;
+    const hasBody =
+      this.req.method !== "HEAD" && status !== 204 && status !== 304;
+    const rawBody = hasBody ? Buffer.concat(this._chunks) : Buffer.alloc(0);
+    const body = rawBody.toString("utf8");
+
+    return {
+      statusCode: status,
+      statusMessage: this.statusMessage || STATUS_CODES[status] || "",
+      headers: { ...this.getHeaders() },
+      rawBody,
+      body,
+      json: () => JSON.parse(body),
+    };
+  }
+
+  /**
+   * Keep a copy of a body chunk
+   * @param chunk - Chunk passed to write() or end()
+   * @param encoding - Encoding of string chunks
+   * @private
+   */
+  private _capture(chunk: unknown, encoding: unknown): void {
+    if (chunk === undefined || chunk === null) {
+      return;
+    }
+
+    if (typeof chunk === "string") {
+      const charset = typeof encoding === "string" ? encoding : "utf8";
+      this._chunks.push(Buffer.from(chunk, charset as BufferEncoding));
+      return;
+    }
+
+    this._chunks.push(Buffer.from(chunk as Uint8Array));
+  }
+}
+
+/**
+ * Run a request handler against a simulated request, without a socket
+ * @param handler - Node.js request listener, e.g. the app's request handler
+ * @param options - Request to simulate
+ * @returns Resolves with the response once it has finished
+ * @throws {Error} If the response is destroyed before it finishes
+ */
+export function inject(
+  handler: (req: IncomingMessage, res: ServerResponse) => unknown,
+  options: InjectOptions = {}
+): Promise<InjectResponse> {
+  return new Promise((resolve, reject) => {
+    const req = new InjectedRequest(options) as unknown as IncomingMessage;
+    const res = new InjectedResponse(req);
+
+    res.once("finish", () => {
+      resolve(res._result());
+      // Servers emit close once a response is done; cleanup hooks rely on it
+      process.nextTick(() => res.emit("close"));
+    });
+
+    res.once("close", () => {
+      if (!res.writableFinished) {
+        reject(new Error("The response was destroyed before it finished"));
+      }
+    });
+
+    Promise.resolve()
+      .then(() => handler(req, res))
+      .catch(reject);
+  });
+}
+
+/**
+ * Build the request URL, appending the query option
+ * @param options - Injection options
+ * @returns Request URL
+ */
+function buildUrl(options: InjectOptions): string {
+  const url = options.url || "/";
+  if (!options.query) {
+    return url;
+  }
+
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries(options.query)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      search.append(name, String(item));
+    }
+  }
+
+  const query = search.toString();
+  if (query === "") {
+    return url;
+  }
+  return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+}
+
+/**
+ * Normalize the request headers and serialize the payload
+ * Adds Host, Cookie, Content-Type (for JSON payloads) and Content-Length or
+ * Transfer-Encoding headers
+ * @param options - Injection options
+ * @returns Headers with lower-case names, and the body
+ */
+function buildHeadersAndPayload(options: InjectOptions): {
+  headers: IncomingHttpHeaders;
+  payload: Buffer | Readable | null;
+} {
+  const headers: IncomingHttpHeaders = { host: "localhost" };
+
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    if (value === undefined) {
+      continue;
+    }
+    const key = name.toLowerCase();
+    headers[key] =
+      key === "set-cookie"
+        ? ([] as string[]).concat(value as string | string[])
+        : Array.isArray(value)
+        ? value.join(key === "cookie" ? "; " : ", ")
+        : String(value);
+  }
+
+  if (options.cookies) {
+    const cookies = Object.entries(options.cookies).map(
+      ([name, value]) => `${name}=${encodeURIComponent(value)}`
+    );
+    headers.cookie = [headers.cookie, ...cookies].filter(Boolean).join("; ");
+  }
+
+  const { payload } = options;
+  if (payload === undefined || payload === null) {
+    return { headers, payload: null };
+  }
+
+  if (payload instanceof Readable) {
+    if (headers["content-length"] === undefined) {
+      headers["transfer-encoding"] = "chunked";
+    }
+    return { headers, payload };
+  }
+
+  let body: Buffer;
+  if (typeof payload === "string") {
+    body = Buffer.from(payload);
+  } else if (payload instanceof Uint8Array) {
+    body = Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength);
+  } else {
+    body = Buffer.from(JSON.stringify(payload));
+    headers["content-type"] = headers["content-type"] || "application/json";
+  }
+
+  headers["content-length"] = String(body.length);
+  return { headers, payload: body };
+}
@@ -0,0 +1,238 @@
+import { IncomingHttpHeaders, IncomingMessage } from "http";
+import { randomUUID } from "crypto";
+import { hostname } from "os";
+import type {
+  GenRequestId,
+  LogFn,
+  LogLevel,
+  LogStream,
+  Logger,
+  LoggerOptions,
+} from "./types/logger.js";
+
+/**
+ * Numeric levels written to log entries, the same as pino's
+ */
+const LEVELS: { [level in LogLevel]: number } = {
+  fatal: 60,
+  error: 50,
+  warn: 40,
+  info: 30,
+  debug: 20,
+  trace: 10,
+};
+
+/**
+ * Headers censored in access logs unless the redactHeaders option is set
+ */
+export const DEFAULT_REDACTED_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+];
+
+/**
+ * Header carrying request IDs unless the requestIdHeader option is set
+ */
+export const DEFAULT_REQUEST_ID_HEADER = "x-request-id";
+
+/**
+ * Request IDs accepted from clients: printable ASCII without spaces, so
+ * they cannot forge log lines or headers
+ */
+const REQUEST_ID = /^[\x21-\x7e]{1,200}$/;
+
+/**
+ * Built-in logger writing one JSON object per line
+ */
+class JsonLogger implements Logger {
+  level: string;
+  private readonly stream: LogStream;
+  private readonly bindings: Record<string, unknown>;
+
+  constructor(
+    level: string,
+    stream: LogStream,
+    bindings: Record<string, unknown>
+  ) {
+    this.level = level;
+    this.stream = stream;
+    this.bindings = bindings;
+  }
+
+  fatal: LogFn = (obj: object | string, msg?: string) =>
+    this._write("fatal", obj, msg);
+  error: LogFn = (obj: object | string, msg?: string) =>
+    this._write("error", obj, msg);
+  warn: LogFn = (obj: object | string, msg?: string) =>
+    this._write("warn", obj, msg);
+  info: LogFn = (obj: object | string, msg?: string) =>
+    this._write("info", obj, msg);
+  debug: LogFn = (obj: object | string, msg?: string) =>
+    this._write("debug", obj, msg);
+  trace: LogFn = (obj: object | string, msg?: string) =>
+    this._write("trace", obj, msg);
+
+  child(bindings: Record<string, unknown>): Logger {
+    return new JsonLogger(this.level, this.stream, {
+      ...this.bindings,
+      ...bindings,
+    });
+  }
+
+  /**
+   * Write an entry if its level is enabled
+   * @param level - Level of the entry
+   * @param obj - Fields of the entry, an Error, or the message
+   * @param msg - Message, when fields are given
+   * @private
+   */
+  private _write(level: LogLevel, obj: object | string, msg?: string): void {
+    const threshold = LEVELS[this.level as LogLevel] ?? Infinity;
+    if (LEVELS[level] < threshold) {
+      return;
+    }
+
+    let fields: Record<string, unknown>;
+    if (typeof obj === "string") {
+      fields = {};
+      msg = obj;
+    } else if (obj instanceof Error) {
+      fields = { err: obj };
+      msg = msg ?? obj.message;
+    } else {
+      fields = { ...obj };
+    }
+
+    const entry = {
+      level: LEVELS[level],
+      time: Date.now(),
+      ...this.bindings,
+      ...fields,
+      ...(msg !== undefined ? { msg } : {}),
+    };
+    this.stream.write(stringify(entry) + "\n");
+  }
+}
+
+/**
+ * Create the built-in JSON logger
+ * Usage: createLogger({ level: 'debug' }).info({ port }, 'starting')
+ * @param options - Level, destination and base fields
+ * @returns Logger writing entries in pino's format
+ */
+export function createLogger(options: LoggerOptions = {}): Logger {
+  const base = options.base ?? { pid: process.pid, hostname: hostname() };
+  return new JsonLogger(
+    options.level || "info",
+    options.stream || process.stdout,
+    base
+  );
+}
+
+/**
+ * Logger used when the logger app option is not set
+ */
+export const defaultLogger = createLogger();
+
+/**
+ * Resolve the logger app option
+ * @param option - false, true, logger options or a logger instance
+ * @returns Logger used by the app ("silent" for false)
+ */
+export function resolveLogger(
+  option: boolean | Logger | LoggerOptions | undefined
+): Logger {
+  if (option === false) {
+    return createLogger({ level: "silent" });
+  }
+  if (option === true || option === undefined) {
+    return defaultLogger;
+  }
+  if (isLogger(option)) {
+    return option;
+  }
+  return createLogger(option);
+}
+
+/**
+ * Get the ID of a request from its request ID header, or generate one
+ * @param req - Node.js request object
+ * @param header - Header carrying request IDs, or false to always generate
+ * @param generate - Generator used when the request has no valid ID
+ * @returns Request ID
+ */
+export function getRequestId(
+  req: IncomingMessage,
+  header: string | false,
+  generate: GenRequestId = () => randomUUID()
+): string {
+  const value = header ? req.headers[header.toLowerCase()] : undefined;
+  if (typeof value === "string" && REQUEST_ID.test(value)) {
+    return value;
+  }
+  return generate(req);
+}
+
+/**
+ * Copy headers, censoring the values of sensitive ones
+ * @param headers - Request or response headers
+ * @param names - Lower-case names of the headers to censor
+ * @returns Headers safe to log
+ */
+export function redactHeaders(
+  headers: IncomingHttpHeaders,
+  names: string[]
+): IncomingHttpHeaders {
+  const redacted: IncomingHttpHeaders = {};
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = names.includes(name) ? "[Redacted]" : value;
+  }
+  return redacted;
+}
+
+/**
+ * Check whether a value is a logger instance rather than logger options
+ * @param value - Value of the logger option
+ * @returns True if the value has the logger methods
+ */
+function isLogger(value: Logger | LoggerOptions): value is Logger {
+  return (
+    typeof (value as Logger).info === "function" &&
+    typeof (value as Logger).child === "function"
+  );
+}
+
+/**
+ * Serialize a log entry; Errors keep their message and stack, and circular
+ * references are dropped
+ * @param entry - Log entry
+ * @returns JSON text
+ */
+function stringify(entry: Record<string, unknown>): string {
+  const seen = new WeakSet<object>();
+
+  return JSON.stringify(entry, (_key, value: unknown) => {
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+    if (typeof value !== "object" || value === null) {
+      return value;
+    }
+    if (seen.has(value)) {
+      return "[Circular]";
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return {
+        ...value,
+        type: value.name,
+        message: value.message,
+        stack: value.stack,
+      };
+    }
+    return value;
+  });
+}
@@ -0,0 +1,224 @@
+// Compression Middleware Implementation
+// Compresses response bodies with brotli, gzip or deflate using node:zlib
+
+import { Readable, Transform, pipeline } from "stream";
+import { promisify } from "util";
+import {
+  brotliCompress,
+  constants,
+  createBrotliCompress,
+  createDeflate,
+  createGzip,
+  deflate,
+  gzip,
+} from "zlib";
+import type { Response } from "../response";
+import type { IRequest } from "../types/request.js";
+import type { IResponse } from "../types/response.js";
+import type { MiddlewareFunction, NextFunction } from "../types/middleware.js";
+import type { SendPayload } from "../types/hooks.js";
+import type { CompressEncoding, CompressOptions } from "../types/compress.js";
+import { negotiateEncoding } from "../utils/accept";
+import { parseBytes } from "../utils/bytes";
+import { matchesType, parseContentType } from "../utils/content-type";
+import { vary } from "../utils/vary";
+
+// Codings offered by default, preferred first
+const DEFAULT_ENCODINGS: CompressEncoding[] = ["br", "gzip", "deflate"];
+
+// Bodies smaller than this gain little from compression
+const DEFAULT_THRESHOLD = 1024;
+
+// Brotli's default quality (11) is too slow for dynamic responses
+const DEFAULT_BROTLI_QUALITY = 4;
+
+// Content types compressed by default; event streams are excluded since
+// compression would buffer their events
+const COMPRESSIBLE_TYPES = [
+  "text/*",
+  "application/json",
+  "application/*+json",
+  "application/javascript",
+  "application/xml",
+  "application/*+xml",
+  "application/x-www-form-urlencoded",
+  "image/svg+xml",
+];
+
+const compressBuffer = {
+  br: promisify(brotliCompress),
+  gzip: promisify(gzip),
+  deflate: promisify(deflate),
+};
+
+/**
+ * Compression settings resolved from the options
+ */
+interface CompressSettings {
+  threshold: number;
+  encodings: CompressEncoding[];
+  filter: (req: IRequest, res: IResponse) => boolean;
+  level?: number;
+  brotliQuality: number;
+}
+
+/**
+ * Check whether the Content-Type of a response is worth compressing
+ * @param {IRequest} _req - Request object
+ * @param {IResponse} res - Response object
+ * @returns {boolean} True for text-based content types
+ */
+function isCompressible(_req: IRequest, res: IResponse): boolean {
+  const header = res.getHeader("Content-Type");
+  if (typeof header !== "string") {
+    return false;
+  }
+
+  const { type } = parseContentType(header);
+  if (type === "text/event-stream") {
+    return false;
+  }
+  return COMPRESSIBLE_TYPES.some((pattern) => matchesType(type, pattern));
+}
+
+/**
+ * Create a compression stream for a coding
+ * @param {CompressEncoding} encoding - Content coding
+ * @param {CompressSettings} settings - Compression settings
+ * @returns {Transform} Stream compressing what is written to it
+ */
+function createEncoder(
+  encoding: CompressEncoding,
+  settings: CompressSettings
+): Transform {
+  if (encoding === "br") {
+    return createBrotliCompress(brotliOptions(settings));
+  }
+  const options = { level: settings.level };
+  return encoding === "gzip" ? createGzip(options) : createDeflate(options);
+}
+
+/**
+ * Build the brotli options for the configured quality
+ * @param {CompressSettings} settings - Compression settings
+ * @returns {object} Options for the brotli functions of node:zlib
+ */
+function brotliOptions(settings: CompressSettings): {
+  params: { [param: number]: number };
+} {
+  return {
+    params: { [constants.BROTLI_PARAM_QUALITY]: settings.brotliQuality },
+  };
+}
+
+/**
+ * Compress a response payload if the response and the client allow it
+ * @param {IRequest} req - Request object
+ * @param {IResponse} res - Response object
+ * @param {SendPayload} payload - Serialized body
+ * @param {CompressSettings} settings - Compression settings
+ * @returns {Promise<SendPayload | void>} Compressed payload, or nothing to
+ * send the payload as it is
+ */
+async function compressPayload(
+  req: IRequest,
+  res: IResponse,
+  payload: SendPayload,
+  settings: CompressSettings
+): Promise<SendPayload | void> {
+  const status = res.raw.statusCode;
+  if (payload === null || status === 204 || status === 304) {
+    return;
+  }
+
+  if (!settings.filter(req, res)) {
+    return;
+  }
+
+  // The body depends on Accept-Encoding from here on, even when sent as is
+  vary(res, "Accept-Encoding");
+
+  // Already encoded bodies, partial content and no-transform are left alone
+  const contentEncoding = res.getHeader("Content-Encoding");
+  const cacheControl = String(res.getHeader("Cache-Control") || "");
+  if (
+    (contentEncoding && contentEncoding !== "identity") ||
+    status === 206 ||
+    /(?:^|,)\s*no-transform\s*(?:,|$)/i.test(cacheControl)
+  ) {
+    return;
+  }
+
+  const length =
+    payload instanceof Readable
+      ? Number(res.getHeader("Content-Length") ?? Infinity)
+      : Buffer.byteLength(payload);
+  if (length < settings.threshold) {
+    return;
+  }
+
+  const encoding = negotiateEncoding(
+    req.headers["accept-encoding"] as string | undefined,
+    settings.encodings
+  ) as CompressEncoding | undefined;
+  if (!encoding) {
+    return;
+  }
+
+  res.setHeader("Content-Encoding", encoding);
+
+  // A strong ETag no longer matches the bytes sent
+  const etag = res.getHeader("ETag");
+  if (typeof etag === "string" && etag.startsWith('"')) {
+    res.setHeader("ETag", `W/${etag}`);
+  }
+
+  if (payload instanceof Readable) {
+    const encoder = createEncoder(encoding, settings);
+    return pipeline(payload, encoder, () => undefined);
+  }
+
+  return encoding === "br"
+    ? compressBuffer.br(payload, brotliOptions(settings))
+    : compressBuffer[encoding](payload, { level: settings.level });
+}
+
+/**
+ * Compression middleware factory function
+ * Usage: app.use(compress({ threshold: '2kb' }))
+ * @param {CompressOptions} options - Compression configuration options
+ * @returns {MiddlewareFunction} Middleware function with signature (req, res, next)
+ * @throws {TypeError} If an encoding is not supported
+ */
+function compress(options: CompressOptions = {}): MiddlewareFunction {
+  const encodings = options.encodings || DEFAULT_ENCODINGS;
+  for (const encoding of encodings) {
+    if (!DEFAULT_ENCODINGS.includes(encoding)) {
+      throw new TypeError(`Unsupported encoding: ${encoding}`);
+    }
+  }
+
+  const settings: CompressSettings = {
+    threshold: parseBytes(options.threshold ?? DEFAULT_THRESHOLD),
+    encodings,
+    filter: options.filter || isCompressible,
+    level: options.level,
+    brotliQuality: options.brotliQuality ?? DEFAULT_BROTLI_QUALITY,
+  };
+
+  return function compressMiddleware(
+    req: IRequest,
+    res: IResponse,
+    next: NextFunction
+  ): void | Promise<void> {
+    // The payload is compressed once it is serialized, after onSend hooks
+    (res as Response)._onBeforeSend((payload) =>
+      compressPayload(req, res, payload, settings)
+    );
+
+    return next();
+  };
+}
+
+// Export the compression factory function
+export default compress;
@@ -0,0 +1,307 @@
+// Rate Limiting Middleware Implementation
+// Counts requests per client and answers 429 once a client exceeds its quota
+
+import { TooManyRequests } from "../errors";
+import type { IRequest } from "../types/request.js";
+import type { IResponse } from "../types/response.js";
+import type { MiddlewareFunction, NextFunction } from "../types/middleware.js";
+import type { RateLimitOptions, RateLimitStore } from "../types/rate-limit.js";
+
+// Default window: 1 minute
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+// Default number of requests per window
+const DEFAULT_LIMIT = 100;
+
+// Minimum time between sweeps of expired counters in the memory store
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * State of a client's quota, after counting the current request
+ */
+interface RateLimitInfo {
+  /** Requests allowed per window */
+  limit: number;
+  /** Requests counted in the window, including the current one */
+  used: number;
+  /** Requests left in the window */
+  remaining: number;
+  /** Milliseconds until the window resets, or a blocked client may retry */
+  resetMs: number;
+}
+
+/**
+ * In-memory rate limit store
+ * Counts are per process, so every instance of an app behind a load balancer
+ * has its own quota. Expired counters are evicted on access and swept
+ * periodically.
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+  private counters: Map<string, { count: number; expires: number }>;
+  private lastSweep: number;
+
+  constructor() {
+    this.counters = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Add one to a counter
+   * @param {string} key - Counter key
+   * @param {number} ttl - Lifetime in milliseconds of a new counter
+   * @returns {Promise<number>} The new count
+   */
+  async increment(key: string, ttl: number): Promise<number> {
+    const now = Date.now();
+    this._sweep(now);
+
+    const counter = this.counters.get(key);
+    if (counter && counter.expires > now) {
+      counter.count++;
+      return counter.count;
+    }
+
+    this.counters.set(key, { count: 1, expires: now + ttl });
+    return 1;
+  }
+
+  /**
+   * Subtract one from a counter
+   * @param {string} key - Counter key
+   */
+  async decrement(key: string): Promise<void> {
+    const counter = this.counters.get(key);
+    if (counter && counter.count > 0) {
+      counter.count--;
+    }
+  }
+
+  /**
+   * Read a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} The count, or 0 if it is missing or expired
+   */
+  async get(key: string): Promise<number> {
+    const counter = this.counters.get(key);
+    if (!counter) {
+      return 0;
+    }
+
+    if (counter.expires <= Date.now()) {
+      this.counters.delete(key);
+      return 0;
+    }
+
+    return counter.count;
+  }
+
+  /**
+   * Number of stored counters, including expired ones not evicted yet
+   */
+  get size(): number {
+    return this.counters.size;
+  }
+
+  /**
+   * Remove expired counters, at most once per sweep interval
+   * @param {number} now - Current time
+   * @private
+   */
+  private _sweep(now: number): void {
+    if (now - this.lastSweep < SWEEP_INTERVAL) {
+      return;
+    }
+
+    this.lastSweep = now;
+    for (const [key, counter] of this.counters) {
+      if (counter.expires <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Count a hit in a fixed window
+ * Rejected hits are not counted, so the count never exceeds the limit
+ * @param {RateLimitStore} store - Counter store
+ * @param {string} key - Client key, with the limiter prefix
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {Promise<RateLimitInfo>} Quota after the hit
+ */
+async function hitFixedWindow(
+  store: RateLimitStore,
+  key: string,
+  limit: number,
+  windowMs: number
+): Promise<RateLimitInfo> {
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const counter = `${key}:${window}`;
+  const count = await store.increment(counter, windowMs);
+  if (count > limit) {
+    await store.decrement(counter);
+  }
+
+  return {
+    limit,
+    used: count,
+    remaining: Math.max(limit - count, 0),
+    resetMs: (window + 1) * windowMs - now,
+  };
+}
+
+/**
+ * Count a hit in a sliding window
+ * The previous window's count is weighted by the share of it that still
+ * falls within the last windowMs. Rejected hits are not counted, so a client
+ * over the limit still gets its quota once the weighted count drops
+ * @param {RateLimitStore} store - Counter store
+ * @param {string} key - Client key, with the limiter prefix
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {Promise<RateLimitInfo>} Quota after the hit
+ */
+async function hitSlidingWindow(
+  store: RateLimitStore,
+  key: string,
+  limit: number,
+  windowMs: number
+): Promise<RateLimitInfo> {
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const elapsed = now - window * windowMs;
+
+  // Counters live for two windows, so the next window can still weigh them
+  const counter = `${key}:${window}`;
+  const count = await store.increment(counter, 2 * windowMs);
+  const previous = await store.get(`${key}:${window - 1}`);
+  const weight = (windowMs - elapsed) / windowMs;
+  const total = Math.floor(previous * weight) + count;
+
+  if (total <= limit) {
+    return {
+      limit,
+      used: total,
+      remaining: limit - total,
+      resetMs: windowMs - elapsed,
+    };
+  }
+
+  await store.decrement(counter);
+  return {
+    limit,
+    used: total,
+    remaining: 0,
+    resetMs: slidingRetryAfter(previous, count - 1, limit, windowMs, elapsed),
+  };
+}
+
+/**
+ * Compute how long a client must wait until a sliding window has room for
+ * one more request, assuming it sends nothing meanwhile
+ * @param {number} previous - Count of the previous window
+ * @param {number} count - Count of the current window, without the rejected hit
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @param {number} elapsed - Time elapsed in the current window
+ * @returns {number} Milliseconds to wait
+ */
+function slidingRetryAfter(
+  previous: number,
+  count: number,
+  limit: number,
+  windowMs: number,
+  elapsed: number
+): number {
+  // Room opens later in this window, once the weighted previous count
+  // drops below what is left of the limit
+  const left = limit - count;
+  if (left > 0 && previous > 0) {
+    return Math.max(windowMs * (1 - left / previous) - elapsed, 0);
+  }
+
+  // Otherwise once this window's count has decayed enough in the next one
+  const decay = count >= limit ? windowMs * (1 - limit / count) : 0;
+  return windowMs - elapsed + decay;
+}
+
+/**
+ * Set the RateLimit headers describing a client's quota
+ * @param {IResponse} res - Response object
+ * @param {RateLimitInfo} info - Quota after the current request
+ * @param {number} windowMs - Window length
+ */
+function setRateLimitHeaders(
+  res: IResponse,
+  info: RateLimitInfo,
+  windowMs: number
+): void {
+  res.setHeader("RateLimit-Policy", `${info.limit};w=${windowMs / 1000}`);
+  res.setHeader("RateLimit-Limit", info.limit);
+  res.setHeader("RateLimit-Remaining", info.remaining);
+  res.setHeader("RateLimit-Reset", Math.ceil(info.resetMs / 1000));
+}
+
+/**
+ * Rate limiting middleware factory function
+ * Usage: app.use(rateLimit({ windowMs: 60_000, limit: 100 }))
+ * @param {RateLimitOptions} options - Rate limiting configuration options
+ * @returns {MiddlewareFunction} Middleware function with signature (req, res, next)
+ * @throws {TypeError} If windowMs, limit or algorithm is invalid
+ */
+function rateLimit(options: RateLimitOptions = {}): MiddlewareFunction {
+  const windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+  if (!Number.isFinite(windowMs) || windowMs <= 0) {
+    throw new TypeError("windowMs must be a positive number");
+  }
+
+  const limitOption = options.limit ?? DEFAULT_LIMIT;
+  if (typeof limitOption === "number" && !(limitOption >= 0)) {
+    throw new TypeError("limit must be a number of requests or a function");
+  }
+
+  const algorithm = options.algorithm || "fixed-window";
+  if (algorithm !== "fixed-window" && algorithm !== "sliding-window") {
+    throw new TypeError(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+  const hit = algorithm === "fixed-window" ? hitFixedWindow : hitSlidingWindow;
+
+  const store = options.store || new MemoryRateLimitStore();
+  const prefix = options.prefix ?? "rl:";
+  const keyGenerator = options.keyGenerator || ((req: IRequest) => req.ip);
+  const message =
+    options.message || "Too many requests, please try again later";
+
+  return async function rateLimitMiddleware(
+    req: IRequest,
+    res: IResponse,
+    next: NextFunction
+  ): Promise<void> {
+    if (options.skip && (await options.skip(req))) {
+      await next();
+      return;
+    }
+
+    const limit =
+      typeof limitOption === "function" ? await limitOption(req) : limitOption;
+    const key = prefix + (await keyGenerator(req));
+    const info = await hit(store, key, limit, windowMs);
+
+    if (options.headers !== false) {
+      setRateLimitHeaders(res, info, windowMs);
+    }
+
+    if (info.used > limit) {
+      throw new TooManyRequests(message, {
+        headers: { "Retry-After": String(Math.ceil(info.resetMs / 1000)) },
+      });
+    }
+
+    await next();
+  };
+}
+
+// Export the rate limiting factory function
+export default rateLimit;
@@ -0,0 +1,274 @@
+// Security Headers Middleware Implementation
+// Sets hardening headers such as CSP and HSTS, with secure defaults
+
+import { randomBytes } from "crypto";
+import type { IRequest } from "../types/request.js";
+import type { IResponse } from "../types/response.js";
+import type { MiddlewareFunction, NextFunction } from "../types/middleware.js";
+import type {
+  CspDirectives,
+  CspSourceFunction,
+  PermissionsPolicy,
+  SecurityHeadersOptions,
+  StrictTransportSecurityOptions,
+} from "../types/security-headers.js";
+
+// Default CSP directives; frame-ancestors follows the frameOptions option
+const DEFAULT_CSP_DIRECTIVES: CspDirectives = {
+  "default-src": ["'self'"],
+  "base-uri": ["'self'"],
+  "font-src": ["'self'", "https:", "data:"],
+  "form-action": ["'self'"],
+  "img-src": ["'self'", "data:"],
+  "object-src": ["'none'"],
+  "script-src": ["'self'"],
+  "script-src-attr": ["'none'"],
+  "style-src": ["'self'", "https:", "'unsafe-inline'"],
+  "upgrade-insecure-requests": true,
+};
+
+// One year, the minimum accepted by browser preload lists
+const DEFAULT_HSTS_MAX_AGE = 365 * 24 * 60 * 60;
+
+// Powerful features nothing should use unless a service opts in
+const DEFAULT_PERMISSIONS_POLICY: PermissionsPolicy = {
+  camera: [],
+  microphone: [],
+  geolocation: [],
+};
+
+// Permissions-Policy allowlist members that are tokens rather than origins
+const PERMISSIONS_TOKENS = ["*", "self", "src"];
+
+/**
+ * CSP directive ready to be serialized: its sources, or true if it takes
+ * no value
+ */
+type CompiledDirective = [string, Array<string | CspSourceFunction> | true];
+
+/**
+ * Convert a camelCase directive name to the form sent in the header
+ * @param {string} name - Directive name, e.g. "scriptSrc" or "script-src"
+ * @returns {string} Header form, e.g. "script-src"
+ */
+function directiveName(name: string): string {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Merge and validate the configured CSP directives
+ * @param {SecurityHeadersOptions} options - Security headers options
+ * @returns {CompiledDirective[]} Directives in header order
+ * @throws {TypeError} If a directive name or source is invalid
+ */
+function compileDirectives(
+  options: SecurityHeadersOptions
+): CompiledDirective[] {
+  const csp = options.contentSecurityPolicy || {};
+  const frameAncestors =
+    options.frameOptions === "DENY" ? ["'none'"] : ["'self'"];
+  const merged: CspDirectives =
+    csp.useDefaults === false
+      ? {}
+      : { ...DEFAULT_CSP_DIRECTIVES, "frame-ancestors": frameAncestors };
+
+  for (const [name, value] of Object.entries(csp.directives || {})) {
+    merged[directiveName(name)] = value;
+  }
+
+  const compiled: CompiledDirective[] = [];
+  for (const [name, value] of Object.entries(merged)) {
+    if (!/^[a-z][a-z-]*$/.test(name)) {
+      throw new TypeError(`Invalid CSP directive name: ${name}`);
+    }
+    if (value === false || value === null) {
+      continue;
+    }
+    if (value === true) {
+      compiled.push([name, true]);
+      continue;
+    }
+
+    const sources = Array.isArray(value) ? value : [value];
+    for (const source of sources) {
+      if (typeof source === "string" && /[;,]/.test(source)) {
+        throw new TypeError(`Invalid source in CSP directive ${name}`);
+      }
+    }
+    compiled.push([name, sources]);
+  }
+
+  // Nonces go to the directives controlling scripts and styles, which
+  // start from default-src when they are not set
+  if (csp.nonce) {
+    const find = (name: string): CompiledDirective | undefined =>
+      compiled.find(([candidate]) => candidate === name);
+    const nonce = (_req: IRequest, res: IResponse): string =>
+      `'nonce-${res.locals.cspNonce}'`;
+
+    for (const name of ["script-src", "style-src"]) {
+      const directive = find(name);
+      const sources = (directive || find("default-src"))?.[1];
+      const base = Array.isArray(sources) ? sources : [];
+
+      if (directive) {
+        directive[1] = [...base, nonce];
+      } else {
+        compiled.push([name, [...base, nonce]]);
+      }
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Serialize CSP directives for a request
+ * @param {CompiledDirective[]} directives - Compiled directives
+ * @param {IRequest} req - Request object
+ * @param {IResponse} res - Response object
+ * @returns {string} Header value
+ */
+function buildPolicy(
+  directives: CompiledDirective[],
+  req: IRequest,
+  res: IResponse
+): string {
+  return directives
+    .map(([name, sources]) => {
+      if (sources === true) {
+        return name;
+      }
+      const values = sources.map((source) =>
+        typeof source === "function" ? source(req, res) : source
+      );
+      return [name, ...values].join(" ");
+    })
+    .join("; ");
+}
+
+/**
+ * Build the Strict-Transport-Security header value
+ * @param {StrictTransportSecurityOptions} options - HSTS options
+ * @returns {string} Header value
+ * @throws {TypeError} If maxAge is not a non-negative number
+ */
+function buildHsts(options: StrictTransportSecurityOptions): string {
+  const maxAge = options.maxAge ?? DEFAULT_HSTS_MAX_AGE;
+  if (!Number.isFinite(maxAge) || maxAge < 0) {
+    throw new TypeError("strictTransportSecurity.maxAge must be a number");
+  }
+
+  let value = `max-age=${Math.floor(maxAge)}`;
+  if (options.includeSubDomains !== false) {
+    value += "; includeSubDomains";
+  }
+  if (options.preload) {
+    value += "; preload";
+  }
+  return value;
+}
+
+/**
+ * Build the Permissions-Policy header value
+ * @param {PermissionsPolicy} policy - Allowlists by feature
+ * @returns {string} Header value, e.g. 'camera=(), geolocation=(self)'
+ */
+function buildPermissionsPolicy(policy: PermissionsPolicy): string {
+  return Object.entries(policy)
+    .map(([feature, allowlist]) => {
+      if (allowlist.includes("*")) {
+        return `${feature}=*`;
+      }
+      const members = allowlist.map((member) =>
+        PERMISSIONS_TOKENS.includes(member) ? member : `"${member}"`
+      );
+      return `${feature}=(${members.join(" ")})`;
+    })
+    .join(", ");
+}
+
+/**
+ * Security headers middleware factory function
+ * Usage: app.use(securityHeaders({ contentSecurityPolicy: { nonce: true } }))
+ * @param {SecurityHeadersOptions} options - Security headers configuration options
+ * @returns {MiddlewareFunction} Middleware function with signature (req, res, next)
+ * @throws {TypeError} If a CSP directive or the HSTS max-age is invalid
+ */
+function securityHeaders(
+  options: SecurityHeadersOptions = {}
+): MiddlewareFunction {
+  // Static header values are computed once; false removes the header
+  const headers: Array<[string, string | false]> = [];
+  const add = (name: string, value: string | false | undefined): void => {
+    headers.push([name, value ?? false]);
+  };
+
+  const csp = options.contentSecurityPolicy;
+  const directives = csp === false ? null : compileDirectives(options);
+  const cspHeader =
+    csp && csp.reportOnly
+      ? "Content-Security-Policy-Report-Only"
+      : "Content-Security-Policy";
+
+  const hsts = options.strictTransportSecurity;
+  add("Strict-Transport-Security", hsts !== false && buildHsts(hsts || {}));
+  add(
+    "X-Content-Type-Options",
+    options.contentTypeOptions !== false && "nosniff"
+  );
+  add("X-Frame-Options", options.frameOptions ?? "SAMEORIGIN");
+
+  const referrer = options.referrerPolicy ?? "no-referrer";
+  add(
+    "Referrer-Policy",
+    Array.isArray(referrer) ? referrer.join(",") : referrer
+  );
+  add(
+    "Cross-Origin-Opener-Policy",
+    options.crossOriginOpenerPolicy ?? "same-origin"
+  );
+  add(
+    "Cross-Origin-Resource-Policy",
+    options.crossOriginResourcePolicy ?? "same-origin"
+  );
+  add("Cross-Origin-Embedder-Policy", options.crossOriginEmbedderPolicy);
+
+  const permissions = options.permissionsPolicy ?? DEFAULT_PERMISSIONS_POLICY;
+  add(
+    "Permissions-Policy",
+    permissions !== false && buildPermissionsPolicy(permissions)
+  );
+
+  return function securityHeadersMiddleware(
+    req: IRequest,
+    res: IResponse,
+    next: NextFunction
+  ): void | Promise<void> {
+    for (const [name, value] of headers) {
+      if (value === false) {
+        res.raw.removeHeader(name);
+      } else {
+        res.setHeader(name, value);
+      }
+    }
+
+    // Middleware applied to a group replaces the policy of the app's
+    res.raw.removeHeader("Content-Security-Policy");
+    res.raw.removeHeader("Content-Security-Policy-Report-Only");
+    if (directives) {
+      // Nonces are shared by every policy applied to the request
+      if (csp && csp.nonce && !res.locals.cspNonce) {
+        res.locals.cspNonce = randomBytes(16).toString("base64");
+      }
+      res.setHeader(cspHeader, buildPolicy(directives, req, res));
+    }
+
+    res.raw.removeHeader("X-Powered-By");
+
+    return next();
+  };
+}
+
+// Export the security headers factory function
+export default securityHeaders;
@@ -0,0 +1,272 @@
+// Session Middleware Implementation
+// Loads sessions from a store into req.session and saves them with the response
+
+import { randomBytes } from "crypto";
+import type { Response } from "../response";
+import type { IRequest } from "../types/request.js";
+import type { IResponse } from "../types/response.js";
+import type { MiddlewareFunction, NextFunction } from "../types/middleware.js";
+import type {
+  Session,
+  SessionData,
+  SessionOptions,
+  SessionStore,
+} from "../types/session.js";
+import {
+  normalizeSecrets,
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+} from "../utils/cookie";
+
+// Default session lifetime: 24 hours
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Minimum time between sweeps of expired sessions in the memory store
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * In-memory session store
+ * Suitable for development and single-process deployments; sessions are lost
+ * on restart. Expired sessions are evicted on access and swept periodically.
+ */
+export class MemoryStore implements SessionStore {
+  private sessions: Map<string, { data: string; expires: number }>;
+  private lastSweep: number;
+
+  constructor() {
+    this.sessions = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Load session data
+   * @param {string} id - Session ID
+   * @returns {Promise<SessionData|undefined>} A copy of the data, or undefined
+   * if it is missing or expired
+   */
+  async get(id: string): Promise<SessionData | undefined> {
+    const entry = this.sessions.get(id);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expires <= Date.now()) {
+      this.sessions.delete(id);
+      return undefined;
+    }
+
+    return JSON.parse(entry.data);
+  }
+
+  /**
+   * Save session data
+   * @param {string} id - Session ID
+   * @param {SessionData} data - Session data
+   * @param {number} ttl - Lifetime in milliseconds
+   */
+  async set(id: string, data: SessionData, ttl: number): Promise<void> {
+    this.sessions.set(id, {
+      data: JSON.stringify(data),
+      expires: Date.now() + ttl,
+    });
+    this._sweep();
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session ID
+   */
+  async destroy(id: string): Promise<void> {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Extend the expiry of a session
+   * @param {string} id - Session ID
+   * @param {SessionData} _data - Session data (unchanged)
+   * @param {number} ttl - Lifetime in milliseconds
+   */
+  async touch(id: string, _data: SessionData, ttl: number): Promise<void> {
+    const entry = this.sessions.get(id);
+    if (entry) {
+      entry.expires = Date.now() + ttl;
+    }
+  }
+
+  /**
+   * Number of stored sessions, including expired ones not evicted yet
+   */
+  get size(): number {
+    return this.sessions.size;
+  }
+
+  /**
+   * Remove expired sessions, at most once per sweep interval
+   * @private
+   */
+  private _sweep(): void {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL) {
+      return;
+    }
+
+    this.lastSweep = now;
+    for (const [id, entry] of this.sessions) {
+      if (entry.expires <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Generate a random session ID
+ * @returns {string} 32 random bytes, base64url encoded
+ */
+function generateId(): string {
+  return randomBytes(32).toString("base64url");
+}
+
+/**
+ * Session middleware factory function
+ * Usage: app.use(session({ secret: process.env.SESSION_SECRET }))
+ * @param {SessionOptions} options - Session configuration options
+ * @returns {MiddlewareFunction} Middleware function with signature (req, res, next)
+ * @throws {TypeError} If no secret is configured
+ */
+function session(options: SessionOptions): MiddlewareFunction {
+  const secrets = normalizeSecrets(options?.secret);
+  if (secrets.length === 0) {
+    throw new TypeError("session() requires a secret");
+  }
+
+  const name = options.name || "zyra.sid";
+  const store = options.store || new MemoryStore();
+  const maxAge = options.maxAge ?? DEFAULT_MAX_AGE;
+  const genid = options.genid || generateId;
+  const { secure = "auto", ...cookieOptions } = options.cookie || {};
+
+  return async function sessionMiddleware(
+    req: IRequest,
+    res: IResponse,
+    next: NextFunction
+  ): Promise<void> {
+    // A session loaded by an outer router is reused
+    if (req.session) {
+      await next();
+      return;
+    }
+
+    const signed = parseCookies(req.headers.cookie)[name];
+    const cookieId = signed ? unsignCookie(signed, secrets) : false;
+    const stored = cookieId ? await store.get(cookieId) : undefined;
+
+    let id = stored && cookieId ? cookieId : genid();
+    let isNew = !stored;
+    let destroyed = false;
+    let touched = false;
+    let saved = stored ? JSON.stringify(stored) : "{}";
+
+    const setCookie = (value: string, expires: Date): void => {
+      res.append(
+        "Set-Cookie",
+        serializeCookie(name, value, {
+          httpOnly: true,
+          sameSite: "lax",
+          path: "/",
+          ...cookieOptions,
+          secure: secure === "auto" ? req.secure : secure,
+          expires,
+        })
+      );
+    };
+
+    const current = Object.defineProperties(
+      {},
+      {
+        id: { get: () => id, enumerable: false },
+        regenerate: {
+          value: async (): Promise<void> => {
+            if (!isNew) {
+              await store.destroy(id);
+            }
+            clear(current);
+            id = genid();
+            isNew = true;
+            destroyed = false;
+            saved = "{}";
+          },
+        },
+        destroy: {
+          value: async (): Promise<void> => {
+            await store.destroy(id);
+            clear(current);
+            destroyed = true;
+          },
+        },
+        save: {
+          value: async (): Promise<void> => {
+            const data = JSON.stringify(current);
+            await store.set(id, JSON.parse(data), maxAge);
+            saved = data;
+            isNew = false;
+          },
+        },
+        touch: {
+          value: (): void => {
+            touched = true;
+          },
+        },
+      }
+    ) as Session;
+    Object.assign(current, stored || {});
+    req.session = current;
+
+    // Save the session and set its cookie right before the response is written
+    (res as Response)._onBeforeSend(async () => {
+      if (destroyed) {
+        if (signed) {
+          setCookie("", new Date(0));
+        }
+        return;
+      }
+
+      const data = JSON.stringify(current);
+      const modified = data !== saved;
+
+      if (isNew && !modified && !options.saveUninitialized) {
+        return;
+      }
+
+      if (isNew || modified) {
+        await store.set(id, JSON.parse(data), maxAge);
+      } else if (options.rolling || touched) {
+        await (store.touch
+          ? store.touch(id, JSON.parse(data), maxAge)
+          : store.set(id, JSON.parse(data), maxAge));
+      }
+
+      // The cookie is sent for new sessions, and on every response when rolling
+      if (isNew || id !== cookieId || options.rolling || touched) {
+        setCookie(signCookie(id, secrets[0]), new Date(Date.now() + maxAge));
+      }
+    });
+
+    await next();
+  };
+}
+
+/**
+ * Remove all data properties from a session
+ * @param {Session} target - Session to clear
+ */
+function clear(target: Session): void {
+  for (const key of Object.keys(target)) {
+    delete target[key];
+  }
+}
+
+// Export the session factory function
+export default session;
@@ -0,0 +1,144 @@
+// Static File Middleware Implementation
+// Serves files from a directory with caching, conditional and range support
+
+import { join } from "path";
+import {
+  BadRequest,
+  MethodNotAllowed,
+  NotFound,
+  isHttpError,
+} from "../errors";
+import { resolveFilePath, sendFile, statFile } from "../send-file";
+import type { IRequest } from "../types/request.js";
+import type { IResponse } from "../types/response.js";
+import type { MiddlewareFunction, NextFunction } from "../types/middleware.js";
+import type { StaticOptions } from "../types/static.js";
+
+/**
+ * Decode the request path into a file path relative to the root
+ * @param {string} path - Request path
+ * @returns {string} Decoded path
+ * @throws {BadRequest} If the path is not valid percent-encoding
+ */
+function decodePath(path: string): string {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    throw new BadRequest("Invalid URL encoding in path");
+  }
+}
+
+/**
+ * Check whether a request prefers an HTML page (a browser navigation)
+ * @param {IRequest} req - Request object
+ * @returns {boolean} True if the Accept header lists text/html
+ */
+function acceptsHtml(req: IRequest): boolean {
+  return /\btext\/html\b/.test(String(req.headers.accept || ""));
+}
+
+/**
+ * Static file middleware factory function
+ * Usage: app.use(serveStatic('public')) or app.use('/assets', serveStatic('dist'))
+ * @param {string} root - Directory to serve files from
+ * @param {StaticOptions} options - Static file options
+ * @returns {MiddlewareFunction} Middleware function with signature (req, res, next)
+ */
+function serveStatic(
+  root: string,
+  options: StaticOptions = {}
+): MiddlewareFunction {
+  if (typeof root !== "string" || root === "") {
+    throw new TypeError("serveStatic() requires a root directory");
+  }
+
+  const {
+    index = "index.html",
+    fallback,
+    redirect = true,
+    fallthrough = true,
+    ...fileOptions
+  } = options;
+  const indexFiles =
+    index === false ? [] : Array.isArray(index) ? index : [index];
+  const sendOptions = { ...fileOptions, root };
+
+  /**
+   * Send a file, resolving to false if it does not exist
+   */
+  const trySend = async (res: IResponse, path: string): Promise<boolean> => {
+    try {
+      await sendFile(res, path, sendOptions);
+      return true;
+    } catch (error) {
+      if (isHttpError(error) && error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  return async function staticMiddleware(
+    req: IRequest,
+    res: IResponse,
+    next: NextFunction
+  ): Promise<void> {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      if (fallthrough) {
+        await next();
+        return;
+      }
+      throw new MethodNotAllowed(
+        `Cannot ${req.method} ${req.baseUrl}${req.path}`,
+        { headers: { Allow: "GET, HEAD" } }
+      );
+    }
+
+    const path = decodePath(req.path);
+
+    // Ignored dotfiles are treated like missing files
+    let filePath: string | undefined;
+    try {
+      filePath = resolveFilePath(path, sendOptions);
+    } catch (error) {
+      if (!isHttpError(error) || error.status !== 404) {
+        throw error;
+      }
+    }
+    const stat = filePath ? await statFile(filePath) : undefined;
+
+    // Directories get their index file, after a redirect to add the trailing slash
+    if (stat && stat.isDirectory()) {
+      if (!path.endsWith("/") && redirect) {
+        const query = req.originalUrl.includes("?")
+          ? req.originalUrl.slice(req.originalUrl.indexOf("?"))
+          : "";
+        res.redirect(`${req.baseUrl}${req.path}/${query}`, 301);
+        return;
+      }
+
+      for (const name of indexFiles) {
+        if (await trySend(res, join(path, name))) {
+          return;
+        }
+      }
+    } else if (stat && (await trySend(res, path))) {
+      return;
+    }
+
+    // Single-page apps answer unknown navigations with their entry page
+    if (fallback && acceptsHtml(req) && (await trySend(res, fallback))) {
+      return;
+    }
+
+    if (fallthrough) {
+      await next();
+      return;
+    }
+
+    throw new NotFound("File not found");
+  };
+}
+
+// Export the static file factory function
+export default serveStatic;
@@ -0,0 +1,520 @@
+import { Readable, Writable } from "stream";
+import { createWriteStream, promises as fs } from "fs";
+import { tmpdir } from "os";
+import { basename, join } from "path";
+import { randomUUID } from "crypto";
+import { BadRequest, PayloadTooLarge } from "./errors";
+import { parseBytes } from "./utils/bytes";
+import { MediaType, parseContentType } from "./utils/content-type";
+import type {
+  FileInfo,
+  MultipartOptions,
+  UploadedFile,
+} from "./types/body-parser.js";
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+// Default limits, chosen to keep a single request from exhausting disk or memory
+const DEFAULT_LIMITS = {
+  files: 10,
+  fileSize: "10mb",
+  fields: 100,
+  fieldSize: "100kb",
+  headerSize: "16kb",
+};
+
+/**
+ * Fields and files extracted from a multipart/form-data body
+ */
+export interface MultipartResult {
+  fields: { [name: string]: string | string[] };
+  files: UploadedFile[];
+}
+
+/**
+ * Part currently being received
+ */
+type ActivePart =
+  | { kind: "skip" }
+  | { kind: "field"; name: string; chunks: Buffer[]; size: number }
+  | { kind: "file"; file: UploadedFile; stream: Writable; error?: Error };
+
+/**
+ * Incremental multipart/form-data parser
+ * Fed with chunks of the request body; file contents are written to their
+ * destination as they arrive, so only partial delimiters are ever buffered
+ */
+class MultipartParser {
+  private state: "body" | "boundary" | "headers" | "done";
+  private buffer: Buffer;
+  private delimiter: Buffer;
+  private part: ActivePart | null;
+  private fieldCount: number;
+  private options: MultipartOptions;
+  private limits: {
+    files: number;
+    fileSize: number;
+    fields: number;
+    fieldSize: number;
+    headerSize: number;
+  };
+
+  public readonly fields: MultipartResult["fields"];
+  public readonly files: UploadedFile[];
+
+  constructor(boundary: string, options: MultipartOptions) {
+    // The preamble is treated as the body of an ignored part; starting with
+    // CRLF lets the first boundary match the same delimiter as later ones
+    this.state = "body";
+    this.buffer = CRLF;
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.part = null;
+    this.fieldCount = 0;
+    this.options = options;
+    // Field names such as "__proto__" must not hit Object.prototype
+    this.fields = Object.create(null);
+    this.files = [];
+
+    const limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.limits = {
+      files: limits.files,
+      fileSize: parseBytes(limits.fileSize),
+      fields: limits.fields,
+      fieldSize: parseBytes(limits.fieldSize),
+      headerSize: parseBytes(limits.headerSize),
+    };
+  }
+
+  /**
+   * Process the next chunk of the body
+   * @param chunk - Raw body data
+   */
+  async write(chunk: Buffer): Promise<void> {
+    if (this.state === "done") {
+      return;
+    }
+
+    this.buffer = this.buffer.length
+      ? Buffer.concat([this.buffer, chunk])
+      : chunk;
+
+    while (await this._step()) {
+      // Keep consuming until more data is needed
+    }
+  }
+
+  /**
+   * Signal the end of the body
+   * @throws {BadRequest} If the closing boundary was not received
+   */
+  end(): void {
+    if (this.state !== "done") {
+      throw new BadRequest("Unexpected end of multipart body");
+    }
+  }
+
+  /**
+   * Stop parsing after an error and remove files written so far
+   */
+  async abort(): Promise<void> {
+    if (this.part && this.part.kind === "file") {
+      this.part.stream.destroy();
+    }
+    this.part = null;
+    this.state = "done";
+
+    await removeFiles(this.files);
+  }
+
+  /**
+   * Advance the state machine by one step
+   * @returns True if another step can run with the buffered data
+   * @private
+   */
+  private async _step(): Promise<boolean> {
+    switch (this.state) {
+      case "body": {
+        const index = this.buffer.indexOf(this.delimiter);
+
+        if (index === -1) {
+          // Hold back bytes that could be the start of a split delimiter
+          const safe = this.buffer.length - (this.delimiter.length - 1);
+          if (safe > 0) {
+            await this._onData(this.buffer.subarray(0, safe));
+            this.buffer = this.buffer.subarray(safe);
+          }
+          return false;
+        }
+
+        await this._onData(this.buffer.subarray(0, index));
+        await this._finishPart();
+        this.buffer = this.buffer.subarray(index + this.delimiter.length);
+        this.state = "boundary";
+        return true;
+      }
+
+      case "boundary": {
+        if (this.buffer.length < 2) {
+          return false;
+        }
+
+        // "--" after the delimiter closes the body; the epilogue is ignored
+        if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+          this.state = "done";
+          this.buffer = Buffer.alloc(0);
+          return false;
+        }
+
+        const index = this.buffer.indexOf(CRLF);
+        if (index === -1) {
+          if (this.buffer.length > 256) {
+            throw new BadRequest("Malformed multipart boundary");
+          }
+          return false;
+        }
+
+        // Only transport padding (linear whitespace) may follow the boundary
+        if (!/^[ \t]*$/.test(this.buffer.subarray(0, index).toString())) {
+          throw new BadRequest("Malformed multipart boundary");
+        }
+
+        this.buffer = this.buffer.subarray(index + CRLF.length);
+        this.state = "headers";
+        return true;
+      }
+
+      case "headers": {
+        let headerBlock: string;
+
+        if (this.buffer.subarray(0, 2).equals(CRLF)) {
+          // Part without headers
+          headerBlock = "";
+          this.buffer = this.buffer.subarray(CRLF.length);
+        } else {
+          const index = this.buffer.indexOf(HEADER_END);
+          if (index === -1) {
+            if (this.buffer.length > this.limits.headerSize) {
+              throw new PayloadTooLarge("Multipart part headers are too large");
+            }
+            return false;
+          }
+
+          headerBlock = this.buffer.subarray(0, index).toString("utf8");
+          this.buffer = this.buffer.subarray(index + HEADER_END.length);
+        }
+
+        await this._startPart(parseHeaders(headerBlock));
+        this.state = "body";
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Begin a new part from its headers
+   * @param headers - Lower-cased part headers
+   * @private
+   */
+  private async _startPart(headers: { [name: string]: string }): Promise<void> {
+    const disposition = parseContentType(headers["content-disposition"] || "");
+    const name = disposition.parameters.name;
+
+    if (disposition.type !== "form-data" || name === undefined) {
+      throw new BadRequest("Multipart part is missing a form-data name");
+    }
+
+    const filename = decodeFilename(disposition.parameters);
+
+    if (filename === undefined) {
+      this.fieldCount++;
+      if (this.fieldCount > this.limits.fields) {
+        throw new PayloadTooLarge(
+          `Too many fields (limit ${this.limits.fields})`
+        );
+      }
+
+      this.part = { kind: "field", name, chunks: [], size: 0 };
+      return;
+    }
+
+    // Browsers send an empty filename for file inputs left blank
+    if (filename === "") {
+      this.part = { kind: "skip" };
+      return;
+    }
+
+    if (this.files.length >= this.limits.files) {
+      throw new PayloadTooLarge(`Too many files (limit ${this.limits.files})`);
+    }
+
+    const info: FileInfo = {
+      fieldname: name,
+      filename: basename(filename.replace(/\\/g, "/")),
+      mimetype:
+        parseContentType(headers["content-type"] || "application/octet-stream")
+          .type,
+      encoding: (headers["content-transfer-encoding"] || "7bit").toLowerCase(),
+    };
+
+    let file: UploadedFile;
+    let stream: Writable;
+
+    if (this.options.sink) {
+      file = { ...info, size: 0 };
+      stream = await this.options.sink(info);
+    } else {
+      const path = join(
+        this.options.tmpDir || tmpdir(),
+        `zyra-upload-${randomUUID()}`
+      );
+      file = { ...info, size: 0, path };
+      stream = createWriteStream(path);
+    }
+
+    const part: ActivePart = { kind: "file", file, stream };
+    // Record write errors instead of letting an unhandled 'error' crash the process
+    stream.on("error", (error: Error) => {
+      part.error = error;
+    });
+
+    this.files.push(file);
+    this.part = part;
+  }
+
+  /**
+   * Handle data belonging to the current part
+   * @param data - Part contents
+   * @private
+   */
+  private async _onData(data: Buffer): Promise<void> {
+    const part = this.part;
+    if (!part || part.kind === "skip" || data.length === 0) {
+      return;
+    }
+
+    if (part.kind === "field") {
+      part.size += data.length;
+      if (part.size > this.limits.fieldSize) {
+        throw new PayloadTooLarge(
+          `Field "${part.name}" exceeds the ${this.limits.fieldSize} byte limit`
+        );
+      }
+      part.chunks.push(data);
+      return;
+    }
+
+    part.file.size += data.length;
+    if (part.file.size > this.limits.fileSize) {
+      throw new PayloadTooLarge(
+        `File "${part.file.filename}" exceeds the ${this.limits.fileSize} byte limit`
+      );
+    }
+
+    if (part.error) {
+      throw part.error;
+    }
+
+    // Respect backpressure from the destination
+    if (!part.stream.write(data)) {
+      await waitFor(part.stream, "drain");
+    }
+  }
+
+  /**
+   * Complete the current part
+   * @private
+   */
+  private async _finishPart(): Promise<void> {
+    const part = this.part;
+    this.part = null;
+
+    if (!part || part.kind === "skip") {
+      return;
+    }
+
+    if (part.kind === "field") {
+      const value = Buffer.concat(part.chunks, part.size).toString("utf8");
+      const existing = this.fields[part.name];
+
+      if (existing === undefined) {
+        this.fields[part.name] = value;
+      } else if (Array.isArray(existing)) {
+        existing.push(value);
+      } else {
+        this.fields[part.name] = [existing, value];
+      }
+      return;
+    }
+
+    if (part.error) {
+      throw part.error;
+    }
+
+    part.stream.end();
+    await waitFor(part.stream, "finish");
+  }
+}
+
+/**
+ * Stream a multipart/form-data body, writing files to disk or a custom sink
+ * @param raw - Request body stream
+ * @param mediaType - Parsed request content type (must carry a boundary)
+ * @param options - Multipart parser options
+ * @returns Parsed fields and uploaded files
+ * @throws {BadRequest} If the body is malformed
+ * @throws {PayloadTooLarge} If a limit is exceeded
+ */
+export function parseMultipart(
+  raw: Readable,
+  mediaType: MediaType,
+  options: MultipartOptions = {}
+): Promise<MultipartResult> {
+  const boundary = mediaType.parameters.boundary;
+  if (!boundary || boundary.length > 70) {
+    return Promise.reject(new BadRequest("Missing or invalid multipart boundary"));
+  }
+
+  const parser = new MultipartParser(boundary, options);
+
+  return new Promise<MultipartResult>((resolve, reject) => {
+    let queue = Promise.resolve();
+    let failed = false;
+    let ended = false;
+
+    const cleanup = (): void => {
+      raw.off("data", onData);
+      raw.off("end", onEnd);
+      raw.off("error", fail);
+      raw.off("close", onClose);
+    };
+
+    function fail(error: unknown): void {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      cleanup();
+      // Keep draining so the error response can still be sent
+      raw.resume();
+      parser.abort().then(
+        () => reject(error),
+        () => reject(error)
+      );
+    }
+
+    // Chunks are processed one at a time; the request is paused meanwhile
+    function onData(chunk: Buffer): void {
+      raw.pause();
+      queue = queue
+        .then(() => parser.write(chunk))
+        .then(() => {
+          if (!failed) {
+            raw.resume();
+          }
+        }, fail);
+    }
+
+    function onEnd(): void {
+      ended = true;
+      queue = queue
+        .then(() => parser.end())
+        .then(() => {
+          cleanup();
+          resolve({ fields: parser.fields, files: parser.files });
+        }, fail);
+    }
+
+    function onClose(): void {
+      if (!ended) {
+        fail(new BadRequest("Request aborted"));
+      }
+    }
+
+    raw.on("data", onData);
+    raw.on("end", onEnd);
+    raw.on("error", fail);
+    raw.on("close", onClose);
+  });
+}
+
+/**
+ * Delete the temporary files of uploaded files
+ * Files without a path (custom sinks) and files already moved are ignored
+ * @param files - Uploaded files
+ */
+export async function removeFiles(files: UploadedFile[]): Promise<void> {
+  await Promise.all(
+    files
+      .filter((file) => file.path)
+      .map((file) => fs.unlink(file.path as string).catch(() => undefined))
+  );
+}
+
+/**
+ * Parse a block of part headers
+ * @param block - Header lines separated by CRLF
+ * @returns Header values keyed by lower-cased name
+ */
+function parseHeaders(block: string): { [name: string]: string } {
+  const headers: { [name: string]: string } = {};
+
+  for (const line of block.split("\r\n")) {
+    const index = line.indexOf(":");
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line
+        .slice(index + 1)
+        .trim();
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Read the filename from Content-Disposition parameters
+ * Prefers the RFC 5987 extended form (filename*=UTF-8''...)
+ * @param parameters - Content-Disposition parameters
+ * @returns The filename, or undefined if the part is not a file
+ */
+function decodeFilename(parameters: {
+  [name: string]: string;
+}): string | undefined {
+  const extended = parameters["filename*"];
+  if (extended) {
+    const match = /^([\w-]+)'[^']*'(.*)$/.exec(extended);
+    if (match) {
+      try {
+        return decodeURIComponent(match[2]);
+      } catch {
+        // Fall back to the plain filename parameter
+      }
+    }
+  }
+
+  return parameters.filename;
+}
+
+/**
+ * Wait for a stream event, rejecting if the stream errors first
+ * @param stream - Writable stream
+ * @param event - Event to wait for ("drain" or "finish")
+ */
+function waitFor(stream: Writable, event: "drain" | "finish"): Promise<void> {
+  return new Promise<void>((resolve, reject) => {
+    const onEvent = (): void => {
+      stream.off("error", onError);
+      resolve();
+    };
+    const onError = (error: Error): void => {
+      stream.off(event, onEvent);
+      reject(error);
+    };
+
+    stream.once(event, onEvent);
+    stream.once("error", onError);
+  });
+}
@@ -0,0 +1,354 @@
+import { STATUS_CODES } from "http";
+import { parse } from "path-to-regexp";
+import { ALL_METHODS } from "./router";
+import type { App } from "./app";
+import type { IApp } from "./types/app.js";
+import type {
+  OpenApiDocument,
+  OpenApiOperation,
+  OpenApiOptions,
+} from "./types/openapi.js";
+import type { JSONSchema, RouteSchema } from "./types/validation.js";
+
+/**
+ * Methods OpenAPI can describe; routes for other methods are left out
+ */
+const OPENAPI_METHODS = [
+  "GET",
+  "PUT",
+  "POST",
+  "DELETE",
+  "OPTIONS",
+  "HEAD",
+  "PATCH",
+  "TRACE",
+];
+
+/**
+ * Methods documented for routes registered with app.all()
+ */
+const ALL_ROUTE_METHODS = ["GET", "PUT", "POST", "DELETE", "PATCH"];
+
+/**
+ * Name of the component describing the 400 response of failed validation
+ */
+const VALIDATION_ERROR = "ValidationError";
+
+/**
+ * Reference to the validation error component, shared by every operation
+ */
+const VALIDATION_ERROR_REF = {
+  $ref: `#/components/schemas/${VALIDATION_ERROR}`,
+};
+
+/**
+ * Body of the 400 response sent when request validation fails
+ */
+const VALIDATION_ERROR_SCHEMA: JSONSchema = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    message: { type: "string" },
+    path: { type: "string" },
+    method: { type: "string" },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          location: { type: "string" },
+          path: { type: "string" },
+          message: { type: "string" },
+          keyword: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Generate an OpenAPI 3.1 document from the routes of an app
+ * Includes group routes and routers mounted with app.use() or app.mount();
+ * route schemas describe parameters, request bodies and responses
+ * Usage: const document = generateOpenApi(app, { info: { title, version } })
+ * @param app - Application or router
+ * @param options - Document info and top-level fields
+ * @returns OpenAPI document
+ * @throws {TypeError} If app was not created with createApp() or createRouter()
+ */
+export function generateOpenApi(
+  app: IApp,
+  options: OpenApiOptions
+): OpenApiDocument {
+  if (typeof (app as App)?._routeTable !== "function") {
+    throw new TypeError("generateOpenApi() expects an app or a router");
+  }
+
+  const { path: _path, info, ...fields } = options;
+  const document: OpenApiDocument = { openapi: "3.1.0", info, paths: {} };
+  let validated = false;
+
+  for (const route of (app as App)._routeTable()) {
+    const schema = route.options.schema || {};
+    if (schema.hide) {
+      continue;
+    }
+
+    const methods =
+      route.method === ALL_METHODS
+        ? ALL_ROUTE_METHODS
+        : [route.method].filter((method) =>
+            OPENAPI_METHODS.includes(method)
+          );
+
+    if (methods.length === 0) {
+      continue;
+    }
+
+    for (const { path, params } of expandPath(route.path)) {
+      const item = (document.paths[path] = document.paths[path] || {});
+
+      for (const method of methods) {
+        // The first route registered for a method and path is the one matched
+        const operation =
+          item[method.toLowerCase()] || buildOperation(schema, params);
+        item[method.toLowerCase()] = operation;
+        validated ||=
+          operation.responses["400"]?.content?.["application/json"]
+            ?.schema === VALIDATION_ERROR_REF;
+      }
+    }
+  }
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      document[field] = value;
+    }
+  }
+
+  // Validation error responses share one schema
+  if (validated) {
+    const components = document.components || {};
+    document.components = {
+      ...components,
+      schemas: {
+        [VALIDATION_ERROR]: VALIDATION_ERROR_SCHEMA,
+        ...components.schemas,
+      },
+    };
+  }
+
+  return document;
+}
+
+/**
+ * Build the operation of a route
+ * @param schema - Route schema
+ * @param pathParams - Names of the path params in the OpenAPI path
+ * @returns OpenAPI operation
+ */
+function buildOperation(
+  schema: RouteSchema,
+  pathParams: string[]
+): OpenApiOperation {
+  const operation: Partial<OpenApiOperation> = pickDefined(schema, [
+    "summary",
+    "description",
+    "tags",
+    "operationId",
+    "deprecated",
+  ]);
+  const responses: OpenApiOperation["responses"] = {};
+
+  const parameters = [
+    ...pathParams.map((name) => ({
+      ...parameter(name, "path", schema.params),
+      required: true,
+    })),
+    ...objectParameters("query", schema.query),
+    ...objectParameters("header", schema.headers),
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (schema.body) {
+    const { description, ...body } = schema.body;
+    operation.requestBody = {
+      ...(description !== undefined && { description }),
+      required: !(body.type === "object" && !body.required?.length),
+      content: { "application/json": { schema: toOpenApiSchema(body) } },
+    };
+  }
+
+  for (const [status, responseSchema] of Object.entries(
+    schema.response || {}
+  )) {
+    const { description, ...body } = responseSchema;
+    responses[status] = {
+      description: description || STATUS_CODES[status] || "Response",
+      ...(Object.keys(body).length > 0 &&
+        status !== "204" && {
+          content: { "application/json": { schema: toOpenApiSchema(body) } },
+        }),
+    };
+  }
+
+  if (
+    (schema.body || schema.query || schema.params || schema.headers) &&
+    !responses["400"]
+  ) {
+    responses["400"] = {
+      description: "Request validation failed",
+      content: {
+        "application/json": { schema: VALIDATION_ERROR_REF },
+      },
+    };
+  }
+
+  if (!schema.response) {
+    responses.default = { description: "Successful response" };
+  }
+
+  return { ...operation, responses };
+}
+
+/**
+ * Copy the fields of an object that are set
+ * @param source - Object to copy from
+ * @param fields - Names of the fields to copy
+ * @returns Object with the fields that are not undefined
+ */
+function pickDefined<T, K extends keyof T>(
+  source: T,
+  fields: readonly K[]
+): Partial<Pick<T, K>> {
+  const result: Partial<Pick<T, K>> = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * Build one parameter per property of an object schema
+ * @param location - "query" or "header"
+ * @param schema - Object schema of the query string or headers
+ * @returns OpenAPI parameters
+ */
+function objectParameters(
+  location: string,
+  schema: JSONSchema | undefined
+): Array<{ [field: string]: any }> {
+  return Object.keys(schema?.properties || {}).map((name) => ({
+    ...parameter(name, location, schema),
+    required: schema?.required?.includes(name) || false,
+  }));
+}
+
+/**
+ * Build a parameter from a property of an object schema
+ * @param name - Parameter name
+ * @param location - "path", "query" or "header"
+ * @param schema - Object schema describing the parameters
+ * @returns OpenAPI parameter
+ */
+function parameter(
+  name: string,
+  location: string,
+  schema: JSONSchema | undefined
+): { [field: string]: any } {
+  const { description, ...property } = schema?.properties?.[name] || {
+    type: "string",
+  };
+
+  return {
+    name,
+    in: location,
+    ...(description !== undefined && { description }),
+    schema: toOpenApiSchema(property),
+  };
+}
+
+/**
+ * Convert a route path pattern to OpenAPI paths
+ * Optional segments produce one path with and one without the segment
+ * @param pattern - Route path, e.g. "/users/:id" or "/files{/:name}?"
+ * @returns OpenAPI paths (e.g. "/users/{id}") with their param names
+ */
+function expandPath(
+  pattern: string
+): Array<{ path: string; params: string[] }> {
+  let variants = [{ path: "", params: [] as string[] }];
+
+  for (const token of parse(pattern)) {
+    if (typeof token === "string") {
+      variants = variants.map((variant) => ({
+        ...variant,
+        path: variant.path + token,
+      }));
+      continue;
+    }
+
+    const name = String(token.name);
+    const segment = `${token.prefix}{${name}}${token.suffix}`;
+    const optional = token.modifier === "?" || token.modifier === "*";
+
+    variants = variants.flatMap((variant) => [
+      ...(optional ? [variant] : []),
+      { path: variant.path + segment, params: [...variant.params, name] },
+    ]);
+  }
+
+  return variants.map((variant) => ({
+    ...variant,
+    path: variant.path || "/",
+  }));
+}
+
+/**
+ * Convert a validator schema to an OpenAPI 3.1 schema
+ * OpenAPI 3.1 uses JSON Schema, so only the OpenAPI 3.0 nullable keyword
+ * needs to be rewritten as a "null" type
+ * @param schema - Validator schema
+ * @returns OpenAPI schema
+ */
+function toOpenApiSchema(schema: JSONSchema): JSONSchema {
+  const { nullable, ...result } = schema;
+
+  if (nullable && result.type !== undefined) {
+    const types = Array.isArray(result.type) ? result.type : [result.type];
+    result.type = types.includes("null") ? types : [...types, "null"];
+  }
+
+  if (result.items) {
+    result.items = toOpenApiSchema(result.items);
+  }
+
+  if (result.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(result.properties).map(([name, property]) => [
+        name,
+        toOpenApiSchema(property),
+      ])
+    );
+  }
+
+  if (typeof result.additionalProperties === "object") {
+    result.additionalProperties = toOpenApiSchema(result.additionalProperties);
+  }
+
+  for (const keyword of ["allOf", "anyOf", "oneOf"] as const) {
+    if (result[keyword]) {
+      result[keyword] = result[keyword]!.map(toOpenApiSchema);
+    }
+  }
+
+  if (result.not) {
+    result.not = toOpenApiSchema(result.not);
+  }
+
+  return result;
+}
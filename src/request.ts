@@ -1,11 +1,41 @@
-import { IncomingMessage, IncomingHttpHeaders } from "http";
+import { IncomingMessage, IncomingHttpHeaders, ServerResponse } from "http";
+import { TLSSocket } from "tls";
+import { Duplex, Readable } from "stream";
 import { URL } from "url";
 import {
   IRequest,
   RouteParams,
   QueryParams,
   RequestBody,
+  Validators,
 } from "./types/request";
+import {
+  DEFAULT_BODY_LIMIT,
+  ResolvedParser,
+  decodeText,
+  hasBody,
+  parseJson,
+  readBody,
+  selectParser,
+} from "./body-parser";
+import { parseBytes } from "./utils/bytes";
+import { matchesType, parseContentType } from "./utils/content-type";
+import {
+  acceptedValues,
+  preferredCharsets,
+  preferredLanguages,
+  preferredMediaTypes,
+} from "./utils/accept";
+import { mimeType } from "./utils/mime";
+import { isFresh, preconditionFailed } from "./utils/fresh";
+import { PreconditionFailed } from "./errors";
+import { removeFiles } from "./multipart";
+import type { UploadedFile } from "./types/body-parser.js";
+import { searchParamsToObject } from "./utils/query";
+import { parseCookies, unsignCookie } from "./utils/cookie";
+import type { Session } from "./types/session.js";
+import type { Logger } from "./types/logger.js";
+import { defaultLogger } from "./logger";
 
 /**
  * Request wrapper class that enhances Node.js IncomingMessage
@@ -13,17 +43,39 @@ import {
  */
 export class Request implements IRequest {
   private _req: IncomingMessage;
+  private _res: ServerResponse | null;
+  private _parsers: ResolvedParser[] | null;
+  private _buffered?: Promise<Buffer>;
+  private _parsed?: Promise<RequestBody>;
+  private _streamed: boolean;
+  private _cookieSecrets: string[];
+  private _cookies?: { [name: string]: string };
+  private _signedCookies?: { [name: string]: string | false };
 
   public readonly method: string;
   public readonly url: string;
   public readonly headers: IncomingHttpHeaders;
-  public readonly path: string;
+  public readonly originalUrl: string;
+  public path: string;
+  public baseUrl: string;
   public query: QueryParams;
   public params: RouteParams;
   public body: RequestBody;
+  public files: UploadedFile[];
+  public session?: Session;
+  public id: string;
+  public log: Logger;
+  public routePath?: string;
+  public _routePrefix: string;
+  // Socket and buffered bytes of a WebSocket upgrade request
+  public _upgrade: { socket: Duplex; head: Buffer } | null;
 
   constructor(req: IncomingMessage) {
     this._req = req;
+    this._res = null;
+    this._parsers = null;
+    this._streamed = false;
+    this._cookieSecrets = [];
 
     // Expose basic properties from Node.js request object
     this.method = req.method || "GET";
@@ -31,73 +83,409 @@ export class Request implements IRequest {
     this.headers = req.headers;
 
     // Parse URL to extract path and query parameters
-    const parsedUrl = new URL(
-      this.url,
-      `http://${req.headers.host || "localhost"}`
-    );
+    // HTTP/2 requests carry the host in the :authority pseudo-header
+    const host = req.headers.host || req.headers[":authority"] || "localhost";
+    const parsedUrl = new URL(this.url, `http://${host}`);
     this.path = parsedUrl.pathname;
 
+    // Mounted routers strip their prefix from path and append it to baseUrl
+    this.originalUrl = this.url;
+    this.baseUrl = "";
+
     // Parse query string into object
-    this.query = {};
-    parsedUrl.searchParams.forEach((value, key) => {
-      const existingValue = this.query[key];
-      if (existingValue !== undefined) {
-        // Handle multiple values for the same key
-        if (Array.isArray(existingValue)) {
-          existingValue.push(value);
-        } else {
-          this.query[key] = [existingValue, value];
-        }
-      } else {
-        this.query[key] = value;
-      }
-    });
+    this.query = searchParamsToObject(parsedUrl.searchParams);
 
     // Initialize params as empty object (will be populated by router)
     this.params = {};
 
-    // Body will be set after parsing
+    // Body and uploaded files will be set after parsing
     this.body = null;
+    this.files = [];
+
+    // Replaced by the app with the request ID and a child logger
+    this.id = "";
+    this.log = defaultLogger;
+    this._routePrefix = "";
+    this._upgrade = null;
   }
 
   /**
-   * Parse JSON request body asynchronously
-   * @returns {Promise<RequestBody>} Parsed body or null if no body/invalid JSON
+   * Address of the client the connection comes from
+   * Behind a proxy this is the proxy's address
    */
-  async _parseBody(): Promise<RequestBody> {
-    return new Promise<RequestBody>((resolve, reject) => {
-      let data = "";
+  get ip(): string {
+    return this._req.socket?.remoteAddress || "";
+  }
+
+  /**
+   * Pick the type the client prefers from the Accept header
+   * Usage: req.accepts('json', 'text/csv') returns 'json', 'text/csv' or false
+   * @param types - MIME types or extensions, e.g. "json" or "text/csv"
+   * @returns The preferred type as given, false if none is acceptable, or
+   * the accepted types (preferred first) when no types are given
+   */
+  accepts(): string[];
+  accepts(...types: string[]): string | false;
+  accepts(...types: string[]): string[] | string | false {
+    const header = this.headers.accept;
+    if (types.length === 0) {
+      return acceptedValues(header);
+    }
 
-      this._req.on("data", (chunk: Buffer) => {
-        data += chunk.toString();
-      });
+    const mimeTypes = types.map((type) => mimeType(type) || type);
+    const [preferred] = preferredMediaTypes(header, mimeTypes);
+    return preferred === undefined
+      ? false
+      : types[mimeTypes.indexOf(preferred)];
+  }
+
+  /**
+   * Pick the language the client prefers from the Accept-Language header
+   * A range accepts the tags it prefixes: "en" accepts "en-GB"
+   * @param languages - Language tags, e.g. "en" or "fr-CA"
+   * @returns The preferred tag, false if none is acceptable, or the accepted
+   * tags when no languages are given
+   */
+  acceptsLanguages(): string[];
+  acceptsLanguages(...languages: string[]): string | false;
+  acceptsLanguages(...languages: string[]): string[] | string | false {
+    const header = this.headers["accept-language"] as string | undefined;
+    if (languages.length === 0) {
+      return acceptedValues(header);
+    }
+    return preferredLanguages(header, languages)[0] ?? false;
+  }
+
+  /**
+   * Pick the charset the client prefers from the Accept-Charset header
+   * @param charsets - Charsets, e.g. "utf-8"
+   * @returns The preferred charset, false if none is acceptable, or the
+   * accepted charsets when no charsets are given
+   */
+  acceptsCharsets(): string[];
+  acceptsCharsets(...charsets: string[]): string | false;
+  acceptsCharsets(...charsets: string[]): string[] | string | false {
+    const header = this.headers["accept-charset"] as string | undefined;
+    if (charsets.length === 0) {
+      return acceptedValues(header);
+    }
+    return preferredCharsets(header, charsets)[0] ?? false;
+  }
+
+  /**
+   * Check the content type of the request body
+   * Usage: req.is('json'), req.is('text/*'), req.is('+json')
+   * @param types - MIME types, wildcards, extensions or "+suffix" patterns
+   * @returns The first matching type as given, false if none matches, or
+   * null if the request has no body; the body's type when no types are given
+   */
+  is(...types: string[]): string | false | null {
+    if (!hasBody(this._req)) {
+      return null;
+    }
+
+    const header = this.headers["content-type"];
+    if (!header) {
+      return false;
+    }
+
+    const { type } = parseContentType(header);
+    if (types.length === 0) {
+      return type;
+    }
+
+    const match = types.find((candidate) => {
+      const pattern = candidate.startsWith("+")
+        ? `*/*${candidate}`
+        : mimeType(candidate);
+      return pattern !== undefined && matchesType(type, pattern);
+    });
+    return match ?? false;
+  }
+
+  /**
+   * Whether the client's cached copy is still fresh, so a 304 can be sent
+   * Compares If-None-Match and If-Modified-Since with the ETag and
+   * Last-Modified headers already set on the 2xx response of a GET or HEAD
+   * request
+   */
+  get fresh(): boolean {
+    const res = this._res;
+    if (!res || (this.method !== "GET" && this.method !== "HEAD")) {
+      return false;
+    }
+
+    const status = res.statusCode;
+    if ((status < 200 || status >= 300) && status !== 304) {
+      return false;
+    }
+
+    return isFresh(this.headers, {
+      etag: res.getHeader("ETag") as string | undefined,
+      lastModified: res.getHeader("Last-Modified") as string | undefined,
+    });
+  }
+
+  /**
+   * Whether the client's cached copy is outdated (the opposite of fresh)
+   */
+  get stale(): boolean {
+    return !this.fresh;
+  }
+
+  /**
+   * Check If-Match and If-Unmodified-Since against the current state of the
+   * target resource, before changing it
+   * Usage: req.checkPreconditions({ etag: `"${doc.version}"` })
+   * @param validators - ETag and Last-Modified of the current resource
+   * @throws PreconditionFailed if the client's copy is outdated
+   */
+  checkPreconditions(validators: Validators): void {
+    if (preconditionFailed(this.headers, validators)) {
+      throw new PreconditionFailed();
+    }
+  }
+
+  /**
+   * ID of the last event received by a reconnecting event stream client,
+   * from the Last-Event-ID header
+   */
+  get lastEventId(): string | undefined {
+    const header = this.headers["last-event-id"];
+    return typeof header === "string" ? header : undefined;
+  }
+
+  /**
+   * Whether the request arrived over TLS
+   */
+  get secure(): boolean {
+    return (this._req.socket as TLSSocket).encrypted === true;
+  }
+
+  /**
+   * Cookies sent with the request, parsed on first access
+   * Signed cookies are listed in signedCookies instead
+   */
+  get cookies(): { [name: string]: string } {
+    if (!this._cookies) {
+      this._parseCookies();
+    }
+    return this._cookies!;
+  }
+
+  /**
+   * Signed cookies with a valid signature (false if the signature is invalid)
+   * Requires the cookieSecret app option
+   */
+  get signedCookies(): { [name: string]: string | false } {
+    if (!this._signedCookies) {
+      this._parseCookies();
+    }
+    return this._signedCookies!;
+  }
+
+  /**
+   * Read the raw request body into a Buffer
+   * The result is cached, so the body can be read again in another format
+   * @returns {Promise<Buffer>} Body contents (empty if there is no body)
+   * @throws {PayloadTooLarge} If the body exceeds the route's size limit
+   */
+  buffer(): Promise<Buffer> {
+    if (!this._buffered) {
+      if (this._streamed) {
+        return Promise.reject(
+          new Error("Request body has already been consumed as a stream")
+        );
+      }
 
-      this._req.on("end", () => {
-        if (!data) {
-          this.body = null;
-          resolve(null);
-          return;
+      this._streamed = true;
+      this._buffered = hasBody(this._req)
+        ? readBody(this._req, this._bodyLimit())
+        : Promise.resolve(Buffer.alloc(0));
+    }
+
+    return this._buffered;
+  }
+
+  /**
+   * Read the request body as a string, decoded with the declared charset
+   * @returns {Promise<string>} Body text
+   */
+  async text(): Promise<string> {
+    const body = await this.buffer();
+    const { parameters } = parseContentType(
+      this.headers["content-type"] || "text/plain"
+    );
+    return decodeText(body, parameters.charset);
+  }
+
+  /**
+   * Read the request body as JSON
+   * @returns {Promise<any>} Parsed JSON, or null for an empty body
+   * @throws {BadRequest} If the body is not valid JSON
+   */
+  async json<T = any>(): Promise<T> {
+    const body = await this.buffer();
+    return parseJson(
+      body,
+      parseContentType(this.headers["content-type"] || "application/json")
+    );
+  }
+
+  /**
+   * Iterate over the raw body chunks without buffering them
+   * Usage: for await (const chunk of req) { ... }
+   */
+  async *[Symbol.asyncIterator](): AsyncIterableIterator<Buffer> {
+    if (this._buffered) {
+      const body = await this._buffered;
+      if (body.length > 0) {
+        yield body;
+      }
+      return;
+    }
+
+    if (this._streamed) {
+      throw new Error("Request body has already been consumed");
+    }
+
+    this._streamed = true;
+    for await (const chunk of this._req) {
+      yield chunk as Buffer;
+    }
+  }
+
+  /**
+   * Set the request ID and the logger bound to it
+   * @param id - Request ID
+   * @param log - Logger whose entries carry the request ID
+   */
+  _setLogger(id: string, log: Logger): void {
+    this.id = id;
+    this.log = log;
+  }
+
+  /**
+   * Set the response the request is answered with
+   * @param res - Node.js response object
+   */
+  _setResponse(res: ServerResponse): void {
+    this._res = res;
+  }
+
+  /**
+   * Set the secrets used to verify signed cookies
+   * @param secrets - Accepted secrets, newest first
+   */
+  _setCookieSecrets(secrets: string[]): void {
+    this._cookieSecrets = secrets;
+    this._cookies = undefined;
+    this._signedCookies = undefined;
+  }
+
+  /**
+   * Split the Cookie header into plain and signed cookies
+   * @private
+   */
+  private _parseCookies(): void {
+    const cookies = parseCookies(this.headers.cookie);
+    const signedCookies: { [name: string]: string | false } = {};
+
+    if (this._cookieSecrets.length > 0) {
+      for (const [name, value] of Object.entries(cookies)) {
+        if (value.startsWith("s:")) {
+          signedCookies[name] = unsignCookie(value, this._cookieSecrets);
+          delete cookies[name];
         }
+      }
+    }
+
+    this._cookies = cookies;
+    this._signedCookies = signedCookies;
+  }
+
+  /**
+   * Set the body parsers resolved for the matched route
+   * @param parsers - Parsers for the route, or null if parsing is disabled
+   */
+  _setBodyParsers(parsers: ResolvedParser[] | null): void {
+    this._parsers = parsers;
+  }
+
+  /**
+   * Parse the request body into req.body with the parsers configured for the route
+   * Runs at most once; later calls return the same result
+   * @returns {Promise<RequestBody>} Parsed body or null if there is no body
+   */
+  _parseBody(): Promise<RequestBody> {
+    if (!this._parsed) {
+      this._parsed = this._runParsers();
+    }
+
+    return this._parsed;
+  }
+
+  /**
+   * Select and run the parser matching the request content type
+   * @returns {Promise<RequestBody>} Parsed body
+   * @private
+   */
+  private async _runParsers(): Promise<RequestBody> {
+    // Nothing to parse, or the application already streamed the body itself
+    if (
+      !this._parsers ||
+      !hasBody(this._req) ||
+      (this._streamed && !this._buffered)
+    ) {
+      return this.body;
+    }
+
+    const { parser, mediaType } = selectParser(this.headers, this._parsers);
+
+    if (parser.consume) {
+      // Streaming parsers read the socket directly unless the body was buffered
+      let source: Readable;
+      if (this._buffered) {
+        source = Readable.from([await this._buffered]);
+      } else {
+        this._streamed = true;
+        source = this._req;
+      }
+      this.body = await parser.consume(source, this, mediaType);
+      return this.body;
+    }
+
+    const body = await this.buffer();
+    this.body = parser.parse ? await parser.parse(body, this, mediaType) : body;
+    return this.body;
+  }
 
-        // Only parse if content-type is JSON
-        const contentType = this.headers["content-type"] || "";
-        if (contentType.includes("application/json")) {
-          try {
-            this.body = JSON.parse(data);
-            resolve(this.body);
-          } catch (error) {
-            reject(new Error("Invalid JSON in request body"));
-          }
-        } else {
-          // For non-JSON content, store as raw string
-          this.body = data;
-          resolve(data);
+  /**
+   * Size limit of the parser that accepts the request content type
+   * @returns {number} Limit in bytes
+   * @private
+   */
+  private _bodyLimit(): number {
+    if (this._parsers) {
+      try {
+        const { parser } = selectParser(this.headers, this._parsers);
+        // Streaming parsers enforce their own limits
+        if (Number.isFinite(parser.limit)) {
+          return parser.limit;
         }
-      });
+      } catch {
+        // Unsupported content types fall back to the default limit
+      }
+    }
 
-      this._req.on("error", (error: Error) => {
-        reject(error);
-      });
-    });
+    return parseBytes(DEFAULT_BODY_LIMIT);
+  }
+
+  /**
+   * Remove temporary files of multipart uploads
+   * Called once the response has finished
+   */
+  async _cleanup(): Promise<void> {
+    await removeFiles(this.files);
   }
 }
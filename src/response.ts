@@ -1,5 +1,44 @@
-import { ServerResponse } from "http";
-import { IResponse } from "./types/response";
+import { ServerResponse, OutgoingHttpHeader, STATUS_CODES } from "http";
+import { Readable, pipeline } from "stream";
+import {
+  FormatHandlers,
+  IResponse,
+  ResponseBody,
+  Serializers,
+} from "./types/response";
+import { CookieOptions } from "./types/cookie";
+import { SendFileOptions } from "./types/static";
+import { SendPayload } from "./types/hooks";
+import { IEventStream, SseOptions } from "./types/sse";
+import { Logger } from "./types/logger";
+import { serializeCookie, signCookie } from "./utils/cookie";
+import { contentDisposition, sendFile } from "./send-file";
+import { contentType, mimeType } from "./utils/mime";
+import { preferredMediaTypes } from "./utils/accept";
+import { vary } from "./utils/vary";
+import { generateEtag } from "./utils/etag";
+import { isFresh } from "./utils/fresh";
+import { NotAcceptable } from "./errors";
+import { EventStream } from "./sse";
+import { defaultLogger } from "./logger";
+
+/**
+ * Headers describing a payload, removed when a before-send hook fails
+ */
+const PAYLOAD_HEADERS = [
+  "Content-Disposition",
+  "Content-Encoding",
+  "Content-Language",
+  "Content-Length",
+  "Content-Location",
+  "Content-Range",
+  "Content-Type",
+  "ETag",
+  "Last-Modified",
+  "Set-Cookie",
+  "Transfer-Encoding",
+  "Vary",
+];
 
 /**
  * Response wrapper class
@@ -7,13 +46,34 @@ import { IResponse } from "./types/response";
  */
 export class Response implements IResponse {
   private _res: ServerResponse;
+  private _beforeSend: Array<
+    (payload: SendPayload) => SendPayload | void | Promise<SendPayload | void>
+  >;
+  private _cookieSecrets: string[];
+  private _log: Logger;
+  private _serializers: Serializers | null;
+  private _sendErrorHandler: ((error: unknown) => Promise<void>) | null;
+  public locals: { [key: string]: any };
   public _sent: boolean;
 
   constructor(res: ServerResponse) {
     this._res = res;
+    this._beforeSend = [];
+    this._cookieSecrets = [];
+    this._log = defaultLogger;
+    this._serializers = null;
+    this._sendErrorHandler = null;
+    this.locals = {};
     this._sent = false;
   }
 
+  /**
+   * The underlying Node.js ServerResponse
+   */
+  get raw(): ServerResponse {
+    return this._res;
+  }
+
   /**
    * Set the HTTP status code
    * @param {number} code - HTTP status code
@@ -24,8 +84,19 @@ export class Response implements IResponse {
     return this;
   }
 
+  /**
+   * Set the Content-Type header
+   * Usage: res.type('json'), res.type('.css'), res.type('text/csv')
+   * @param {string} type - MIME type or file extension
+   * @returns {Response} - Returns this for chaining
+   */
+  type(type: string): IResponse {
+    return this.setHeader("Content-Type", contentType(type));
+  }
+
   /**
    * Send a JSON response
+   * Keeps a Content-Type that was already set (e.g. application/problem+json)
    * @param {*} data - Data to serialize as JSON
    */
   json(data: any): void {
@@ -33,23 +104,208 @@ export class Response implements IResponse {
       return;
     }
 
-    this.setHeader("Content-Type", "application/json");
-    this._res.end(JSON.stringify(data));
-    this._sent = true;
+    if (!this._res.hasHeader("Content-Type")) {
+      this.setHeader("Content-Type", "application/json");
+    }
+
+    this._write(JSON.stringify(data) ?? "");
   }
 
   /**
-   * Send a text/HTML response
-   * @param {string} data - Text or HTML content to send
+   * Send a response body
+   * Strings default to text/html, Buffers and streams to
+   * application/octet-stream, and other values are sent as JSON;
+   * a Content-Type that was already set is kept
+   * @param {string|Buffer|Readable|object} data - Body to send
    */
-  send(data: string): void {
+  send(data?: ResponseBody): void {
     if (this._sent) {
       return;
     }
 
-    this.setHeader("Content-Type", "text/html");
-    this._res.end(data);
-    this._sent = true;
+    if (data === undefined || data === null) {
+      this._write("");
+      return;
+    }
+
+    if (typeof data === "string") {
+      this._defaultType("text/html; charset=utf-8");
+      this._write(data);
+      return;
+    }
+
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+      this._defaultType("application/octet-stream");
+      this._write(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+      return;
+    }
+
+    if (data instanceof Readable) {
+      this._defaultType("application/octet-stream");
+      this._write(data);
+      return;
+    }
+
+    this._serialize(data);
+  }
+
+  /**
+   * Open a server-sent event stream
+   * Sets the text/event-stream headers, disables proxy buffering and sends
+   * comment heartbeats; the response counts as sent from here on
+   * Usage: const stream = res.sse(); stream.send({ event: 'done', data })
+   * @param {SseOptions} options - Heartbeat interval and reconnection delay
+   * @returns {IEventStream} Stream to send events with
+   * @throws {Error} If the response was already sent
+   */
+  sse(options: SseOptions = {}): IEventStream {
+    if (this._sent) {
+      throw new Error("Cannot open an event stream: the response was sent");
+    }
+
+    this.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    this.setHeader("Cache-Control", "no-cache, no-transform");
+    this.setHeader("X-Accel-Buffering", "no");
+    this._res.removeHeader("Content-Length");
+
+    // HTTP/2 forbids connection-specific headers
+    const http1 = this._res.req?.httpVersionMajor < 2;
+    if (http1 && !this._res.hasHeader("Connection")) {
+      this.setHeader("Connection", "keep-alive");
+    }
+
+    const stream = new EventStream(this._res, options);
+    this._write(stream.body);
+    return stream;
+  }
+
+  /**
+   * Respond according to the Accept header
+   * Runs the handler of the type the client prefers, with that Content-Type
+   * set, and adds Accept to Vary
+   * Usage: res.format({ json: () => res.send(rows), 'text/csv': () => ... })
+   * @param {FormatHandlers} handlers - Handlers by MIME type or extension,
+   * and an optional default handler
+   * @returns {*} The return value of the handler that ran
+   * @throws {NotAcceptable} If no type is acceptable and there is no default
+   */
+  format(handlers: FormatHandlers): unknown {
+    const { default: fallback, ...typed } = handlers;
+    const types = Object.keys(typed);
+    const mimeTypes = types.map((type) => mimeType(type) || type);
+
+    vary(this, "Accept");
+    const [preferred] = preferredMediaTypes(
+      this._res.req?.headers.accept,
+      mimeTypes
+    );
+
+    if (preferred === undefined) {
+      if (fallback) {
+        return fallback();
+      }
+      throw new NotAcceptable("Not Acceptable", {
+        details: { types: mimeTypes },
+      });
+    }
+
+    const type = types[mimeTypes.indexOf(preferred)];
+    this.type(type);
+    return typed[type]!();
+  }
+
+  /**
+   * Send a status code with its standard message as the body
+   * @param {number} code - HTTP status code
+   */
+  sendStatus(code: number): void {
+    this.status(code)
+      .type("text/plain")
+      .send(STATUS_CODES[code] || String(code));
+  }
+
+  /**
+   * Redirect to another URL
+   * @param {string} url - Target URL, absolute or relative
+   * @param {number} status - Redirect status code (defaults to 302)
+   * @throws {RangeError} If the status is not a 3xx code
+   */
+  redirect(url: string, status = 302): void {
+    if (status < 300 || status > 399) {
+      throw new RangeError(`Invalid redirect status code: ${status}`);
+    }
+
+    const location = encodeUrl(url);
+    const statusText = STATUS_CODES[status] || "Redirecting";
+    this.status(status)
+      .setHeader("Location", location)
+      .type("text/plain")
+      .send(`${statusText}. Redirecting to ${location}`);
+  }
+
+  /**
+   * Send a file, with caching headers, conditional GET and Range support
+   * Usage: await res.sendFile('report.pdf', { root: 'files' })
+   * @param {string} path - Absolute path, or a path relative to options.root
+   * @param {SendFileOptions} options - File serving options
+   * @returns {Promise<void>} Resolves once the response has started streaming
+   * @throws {NotFound} If the file does not exist
+   */
+  sendFile(path: string, options: SendFileOptions = {}): Promise<void> {
+    return sendFile(this, path, options);
+  }
+
+  /**
+   * Send a file as an attachment the browser offers to save
+   * @param {string} path - Absolute path, or a path relative to options.root
+   * @param {string} filename - File name shown to the user (defaults to its name)
+   * @param {SendFileOptions} options - File serving options
+   * @returns {Promise<void>} Resolves once the response has started streaming
+   * @throws {NotFound} If the file does not exist
+   */
+  download(
+    path: string,
+    filename?: string,
+    options: SendFileOptions = {}
+  ): Promise<void> {
+    this.setHeader(
+      "Content-Disposition",
+      contentDisposition(filename || path)
+    );
+    return sendFile(this, path, options);
+  }
+
+  /**
+   * Set a cookie
+   * Signed cookies (options.signed) require the cookieSecret app option
+   * @param {string} name - Cookie name
+   * @param {string} value - Cookie value
+   * @param {CookieOptions} options - Cookie attributes (path defaults to "/")
+   * @returns {Response} - Returns this for chaining
+   */
+  cookie(name: string, value: string, options: CookieOptions = {}): IResponse {
+    if (options.signed) {
+      if (this._cookieSecrets.length === 0) {
+        throw new Error(
+          "The cookieSecret app option is required for signed cookies"
+        );
+      }
+      value = signCookie(value, this._cookieSecrets[0]);
+    }
+
+    return this.append("Set-Cookie", serializeCookie(name, value, options));
+  }
+
+  /**
+   * Clear a cookie by expiring it
+   * Pass the same path and domain the cookie was set with
+   * @param {string} name - Cookie name
+   * @param {CookieOptions} options - Cookie attributes
+   * @returns {Response} - Returns this for chaining
+   */
+  clearCookie(name: string, options: CookieOptions = {}): IResponse {
+    const { maxAge: _maxAge, ...attributes } = options;
+    return this.cookie(name, "", { ...attributes, expires: new Date(0) });
   }
 
   /**
@@ -63,6 +319,31 @@ export class Response implements IResponse {
     return this;
   }
 
+  /**
+   * Add a value to a response header, keeping the values already set
+   * @param {string} key - Header name
+   * @param {string|string[]} value - Value(s) to add
+   * @returns {Response} - Returns this for chaining
+   */
+  append(key: string, value: string | string[]): IResponse {
+    const current = this._res.getHeader(key);
+    if (current === undefined) {
+      return this.setHeader(key, value);
+    }
+
+    const values = Array.isArray(current) ? current : [String(current)];
+    return this.setHeader(key, values.concat(value));
+  }
+
+  /**
+   * Get a response header set so far
+   * @param {string} key - Header name (case-insensitive)
+   * @returns {string|number|string[]|undefined} Header value
+   */
+  getHeader(key: string): OutgoingHttpHeader | undefined {
+    return this._res.getHeader(key);
+  }
+
   /**
    * End the response stream
    */
@@ -71,7 +352,302 @@ export class Response implements IResponse {
       return;
     }
 
-    this._res.end();
+    this._write(null);
+  }
+
+  /**
+   * Set the Content-Type header unless one was already set
+   * @param {string} type - Content-Type value
+   * @private
+   */
+  private _defaultType(type: string): void {
+    if (!this._res.hasHeader("Content-Type")) {
+      this.setHeader("Content-Type", type);
+    }
+  }
+
+  /**
+   * Register a function to run before the response is written
+   * Used by middleware that must set headers or persist state last (e.g.
+   * sessions) and by onSend hooks; returning a value replaces the payload
+   * @param {Function} hook - Function receiving the payload; may be async
+   */
+  _onBeforeSend(
+    hook: (
+      payload: SendPayload
+    ) => SendPayload | void | Promise<SendPayload | void>
+  ): void {
+    this._beforeSend.push(hook);
+  }
+
+  /**
+   * Set the function handling errors thrown by before-send hooks
+   * The app passes them to its error pipeline
+   * @param {Function} handler - Receives the error; the response can be sent
+   * again
+   */
+  _onSendError(handler: (error: unknown) => Promise<void>): void {
+    this._sendErrorHandler = handler;
+  }
+
+  /**
+   * Tag buffered 2xx bodies with an ETag and answer GET and HEAD requests
+   * whose cached copy is still fresh with 304 Not Modified
+   * Runs as a before-send hook, so the tag covers the final payload; an ETag
+   * set by the handler is kept
+   * @param {boolean} weak - Generate weak entity tags
+   */
+  _handleConditional(weak: boolean): void {
+    this._onBeforeSend((payload): SendPayload | void => {
+      const status = this._res.statusCode;
+      if (status < 200 || status >= 300) {
+        return;
+      }
+
+      if (payload !== null && !(payload instanceof Readable)) {
+        if (!this._res.hasHeader("ETag")) {
+          this.setHeader("ETag", generateEtag(payload, weak));
+        }
+      }
+
+      const req = this._res.req;
+      if (!req || (req.method !== "GET" && req.method !== "HEAD")) {
+        return;
+      }
+
+      const fresh = isFresh(req.headers, {
+        etag: this.getHeader("ETag") as string | undefined,
+        lastModified: this.getHeader("Last-Modified") as string | undefined,
+      });
+      if (fresh) {
+        this.status(304);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Set the secrets used to sign cookies
+   * @param {string[]} secrets - Secrets, newest first
+   */
+  _setCookieSecrets(secrets: string[]): void {
+    this._cookieSecrets = secrets;
+  }
+
+  /**
+   * Set the serializers res.send() picks from for objects
+   * @param {Serializers} serializers - Serializers of the matched route
+   */
+  _setSerializers(serializers: Serializers | undefined): void {
+    this._serializers = serializers || null;
+  }
+
+  /**
+   * Set the logger reporting errors of the before-send hooks
+   * @param {Logger} log - Logger of the request
+   */
+  _setLogger(log: Logger): void {
+    this._log = log;
+  }
+
+  /**
+   * Send an object with the route serializer for its content type
+   * The Content-Type already set is used, or the type the client prefers
+   * among JSON and the serializer types; objects are sent as JSON otherwise
+   * @param {object} data - Value to serialize
+   * @private
+   */
+  private _serialize(data: object): void {
+    const serializers = this._serializers;
+    if (!serializers) {
+      this.json(data);
+      return;
+    }
+
+    const types = Object.keys(serializers);
+    const mimeTypes = types.map((type) => mimeType(type) || type);
+    const current = this._res.getHeader("Content-Type");
+
+    let preferred: string | undefined;
+    if (typeof current === "string") {
+      preferred = mimeType(current);
+    } else {
+      vary(this, "Accept");
+      [preferred] = preferredMediaTypes(this._res.req?.headers.accept, [
+        "application/json",
+        ...mimeTypes,
+      ]);
+    }
+
+    const index = preferred === undefined ? -1 : mimeTypes.indexOf(preferred);
+    if (index === -1) {
+      this.json(data);
+      return;
+    }
+
+    this._defaultType(contentType(types[index]));
+    const body = serializers[types[index]](data);
+    this._write(typeof body === "string" ? body : Buffer.from(body));
+  }
+
+  /**
+   * Mark the response as sent and write it once the before-send hooks ran
+   * @param {string|Buffer|Readable|null} body - Body to write, or null for none
+   * @private
+   */
+  private _write(body: SendPayload): void {
     this._sent = true;
+
+    if (this._beforeSend.length === 0) {
+      this._flush(body);
+      return;
+    }
+
+    const hooks = this._beforeSend.splice(0);
+    hooks
+      .reduce<Promise<SendPayload>>(
+        (previous, hook) =>
+          previous.then(async (payload) => {
+            const replaced = await hook(payload);
+            if (replaced === undefined) {
+              return payload;
+            }
+            if (!isPayload(replaced)) {
+              throw new TypeError(
+                "A payload must be a string, Buffer, Readable stream or null"
+              );
+            }
+            return replaced;
+          }),
+        Promise.resolve(body)
+      )
+      .then(
+        (payload) => {
+          // A replacement stream has a length of its own, if any; a body
+          // stream already being read (e.g. piped into a compressor) is left
+          // to the replacement
+          if (payload !== body) {
+            if (!(body instanceof Readable && body.readableFlowing !== null)) {
+              this._discard(body);
+            }
+            if (payload instanceof Readable) {
+              this._res.removeHeader("Content-Length");
+            }
+          }
+          this._flush(payload);
+        },
+        (error) => {
+          this._discard(body);
+          if (this._res.headersSent) {
+            this._log.error({ err: error }, "Response hook error");
+            this._res.destroy(error);
+            return;
+          }
+
+          // Headers set for the failed payload (compression, ETag, cookies)
+          // do not describe the error response; the remaining hooks are
+          // skipped, so the error response cannot fail the same way
+          for (const name of PAYLOAD_HEADERS) {
+            this._res.removeHeader(name);
+          }
+          this._sent = false;
+
+          if (this._sendErrorHandler) {
+            this._sendErrorHandler(error).catch((thrown) => {
+              this._log.error({ err: thrown }, "Response hook error");
+              this._res.destroy();
+            });
+            return;
+          }
+
+          this._log.error({ err: error }, "Response hook error");
+          this._res.statusCode = 500;
+          this._res.setHeader("Content-Type", "application/json");
+          this._res.end(JSON.stringify({ error: STATUS_CODES[500] }));
+        }
+      );
   }
+
+  /**
+   * Write the body and end the response
+   * Sets Content-Length for buffered bodies and streams with backpressure;
+   * bodies are dropped for HEAD requests and 204/304 responses
+   * @param {string|Buffer|Readable|null} body - Body to write, or null for none
+   * @private
+   */
+  private _flush(body: SendPayload): void {
+    const status = this._res.statusCode;
+    if (status === 204 || status === 304) {
+      this._res.removeHeader("Content-Type");
+      this._res.removeHeader("Content-Length");
+      this._res.removeHeader("Transfer-Encoding");
+      this._discard(body);
+      this._res.end();
+      return;
+    }
+
+    if (body instanceof Readable) {
+      if (this._res.req?.method === "HEAD") {
+        this._discard(body);
+        this._res.end();
+        return;
+      }
+
+      // Destroy the response if the stream fails, since headers are already sent
+      pipeline(body, this._res, (error) => {
+        if (error && !this._res.destroyed) {
+          this._res.destroy(error);
+        }
+      });
+      return;
+    }
+
+    if (body === null) {
+      this._res.end();
+      return;
+    }
+
+    if (!this._res.headersSent) {
+      this.setHeader("Content-Length", Buffer.byteLength(body));
+    }
+    this._res.end(body);
+  }
+
+  /**
+   * Release a body that will not be sent
+   * @param {string|Buffer|Readable|null} body - Unsent body
+   * @private
+   */
+  private _discard(body: SendPayload): void {
+    if (body instanceof Readable) {
+      body.destroy();
+    }
+  }
+}
+
+/**
+ * Check whether a value can be written as a response body
+ * @param value - Value returned by a before-send hook
+ * @returns True for strings, Buffers, Readable streams and null
+ */
+function isPayload(value: unknown): value is SendPayload {
+  return (
+    value === null ||
+    typeof value === "string" ||
+    Buffer.isBuffer(value) ||
+    value instanceof Readable
+  );
+}
+
+/**
+ * Percent-encode characters that are not allowed in a URL
+ * Existing percent-encoded sequences are kept as they are
+ * @param url - URL to encode
+ * @returns Encoded URL
+ */
+function encodeUrl(url: string): string {
+  return url.replace(
+    /[^\x21\x23-\x3B\x3D\x3F-\x5F\x61-\x7A\x7C\x7E]+/g,
+    (characters) => encodeURI(characters)
+  );
 }
@@ -1,12 +1,49 @@
-import { pathToRegexp, Key } from "path-to-regexp";
-import type { IRouter, Route, RouteMatch, HttpMethod } from "./types/router.js";
+import { pathToRegexp, parse, Key } from "path-to-regexp";
+import type {
+  IRouter,
+  Route,
+  RouteMatch,
+  RouteOptions,
+  HttpMethod,
+} from "./types/router.js";
 import type { RouteHandler } from "./types/middleware.js";
 
+/**
+ * Method of routes registered with app.all()
+ */
+export const ALL_METHODS = "*";
+
+// Pattern path-to-regexp uses for a plain ":name" parameter
+const DEFAULT_PARAM_PATTERN = "[^\\/#\\?]+?";
+
+/**
+ * Node of the routing tree
+ * Each edge is one path segment; routes that cannot be expressed as plain
+ * segments are kept on the deepest node their static prefix reaches
+ */
+interface RouteNode {
+  /** Children for static segments, keyed by lower-cased segment */
+  children: Map<string, RouteNode>;
+  /** Child for a plain ":param" segment */
+  param: RouteNode | null;
+  /** Routes ending exactly at this node */
+  routes: Route[];
+  /** Routes with optional, repeated, custom-pattern or partial-segment params, matched by regex */
+  patterns: Route[];
+}
+
+/**
+ * Segment of a route path that can be stored in the tree
+ */
+type Segment = { type: "static"; value: string } | { type: "param" };
+
 class Router implements IRouter {
   public routes: Route[];
+  private root: RouteNode;
 
   constructor() {
     this.routes = [];
+    this.root = createNode();
   }
 
   /**
@@ -14,49 +51,252 @@ class Router implements IRouter {
    * @param method - HTTP method (GET, POST, etc.)
    * @param path - Route path pattern (e.g., '/users/:id')
    * @param handlers - Array of handler functions
+   * @param options - Route options (body parser configuration, etc.)
    */
-  addRoute(method: string, path: string, handlers: RouteHandler[]): void {
+  addRoute(
+    method: string,
+    path: string,
+    handlers: RouteHandler[],
+    options: RouteOptions = {}
+  ): void {
     const keys: Key[] = [];
     const regex = pathToRegexp(path, keys);
     const paramNames = keys.map((key) => String(key.name));
 
-    this.routes.push({
+    const route: Route = {
       method: method.toUpperCase() as HttpMethod,
       path,
       regex,
       paramNames,
       handlers: Array.isArray(handlers) ? handlers : [handlers],
       middleware: [],
-    });
+      groups: [],
+      options,
+    };
+
+    this.routes.push(route);
+    this._insert(route);
   }
 
   /**
    * Find a matching route for the given method and path
+   * Static segments take precedence over params, and params over
+   * pattern routes, regardless of registration order
    * @param method - HTTP method
    * @param path - Request path
    * @returns Matched route with extracted params, or null
    */
   match(method: string, path: string): RouteMatch | null {
     const normalizedMethod = method.toUpperCase();
+    const segments = splitPath(path);
+
+    const match = this._search(
+      this.root,
+      segments,
+      0,
+      [],
+      path,
+      (route) =>
+        route.method === normalizedMethod || route.method === ALL_METHODS
+    );
+
+    // HEAD requests are answered by GET routes unless a HEAD route exists
+    if (!match && normalizedMethod === "HEAD") {
+      return this._search(
+        this.root,
+        segments,
+        0,
+        [],
+        path,
+        (route) => route.method === "GET"
+      );
+    }
+
+    return match;
+  }
+
+  /**
+   * List the methods that have a route matching the given path
+   * Includes HEAD when GET is allowed, and OPTIONS whenever any method is
+   * @param path - Request path
+   * @returns Allowed methods, or an empty array if no route matches the path
+   */
+  allowedMethods(path: string): string[] {
+    const methods = new Set<string>();
+    this._collectMethods(this.root, splitPath(path), 0, path, methods);
+
+    // Routes for every method never produce a 405
+    methods.delete(ALL_METHODS);
+    if (methods.size === 0) {
+      return [];
+    }
+
+    if (methods.has("GET")) {
+      methods.add("HEAD");
+    }
+    methods.add("OPTIONS");
+
+    return Array.from(methods);
+  }
 
-    for (const route of this.routes) {
-      if (route.method !== normalizedMethod) {
+  /**
+   * Add a route to the tree
+   * @param route - Route to insert
+   * @private
+   */
+  private _insert(route: Route): void {
+    const segments = toSegments(route.path);
+    let node = this.root;
+
+    for (const segment of segments || []) {
+      if (segment.type === "param") {
+        node.param = node.param || createNode();
+        node = node.param;
+        continue;
+      }
+
+      let child = node.children.get(segment.value);
+      if (!child) {
+        child = createNode();
+        node.children.set(segment.value, child);
+      }
+      node = child;
+    }
+
+    if (segments) {
+      node.routes.push(route);
+      return;
+    }
+
+    // Walk the static prefix of a pattern route so it is only tried for
+    // paths sharing that prefix
+    const prefix = staticPrefix(route.path);
+    node = this.root;
+    for (const value of prefix) {
+      let child = node.children.get(value);
+      if (!child) {
+        child = createNode();
+        node.children.set(value, child);
+      }
+      node = child;
+    }
+    node.patterns.push(route);
+  }
+
+  /**
+   * Depth-first search for a route, backtracking from static to param branches
+   * @param node - Current tree node
+   * @param segments - Request path segments
+   * @param index - Index of the segment to match next
+   * @param values - Param values collected so far
+   * @param path - Full request path (for pattern routes)
+   * @param accepts - Method filter
+   * @returns Matched route with extracted params, or null
+   * @private
+   */
+  private _search(
+    node: RouteNode,
+    segments: string[],
+    index: number,
+    values: string[],
+    path: string,
+    accepts: (route: Route) => boolean
+  ): RouteMatch | null {
+    if (index === segments.length) {
+      const route = node.routes.find(accepts);
+      if (route) {
+        const params: { [key: string]: string } = {};
+        route.paramNames.forEach((name, i) => {
+          params[name] = values[i];
+        });
+        return Object.assign({}, route, { params });
+      }
+    } else {
+      const segment = segments[index];
+
+      const child = node.children.get(segment.toLowerCase());
+      if (child) {
+        const found = this._search(
+          child,
+          segments,
+          index + 1,
+          values,
+          path,
+          accepts
+        );
+        if (found) {
+          return found;
+        }
+      }
+
+      if (node.param && segment !== "") {
+        values.push(segment);
+        const found = this._search(
+          node.param,
+          segments,
+          index + 1,
+          values,
+          path,
+          accepts
+        );
+        values.pop();
+        if (found) {
+          return found;
+        }
+      }
+    }
+
+    for (const route of node.patterns) {
+      if (!accepts(route)) {
         continue;
       }
 
       const matches = route.regex.exec(path);
       if (matches) {
         const params = this._extractParams(route.paramNames, matches);
-        return {
-          ...route,
-          params,
-        };
+        return Object.assign({}, route, { params });
       }
     }
 
     return null;
   }
 
+  /**
+   * Collect the methods of every route matching a path, across all branches
+   * @param node - Current tree node
+   * @param segments - Request path segments
+   * @param index - Index of the segment to match next
+   * @param path - Full request path (for pattern routes)
+   * @param methods - Set receiving the methods found
+   * @private
+   */
+  private _collectMethods(
+    node: RouteNode,
+    segments: string[],
+    index: number,
+    path: string,
+    methods: Set<string>
+  ): void {
+    if (index === segments.length) {
+      node.routes.forEach((route) => methods.add(route.method));
+    } else {
+      const segment = segments[index];
+
+      const child = node.children.get(segment.toLowerCase());
+      if (child) {
+        this._collectMethods(child, segments, index + 1, path, methods);
+      }
+
+      if (node.param && segment !== "") {
+        this._collectMethods(node.param, segments, index + 1, path, methods);
+      }
+    }
+
+    node.patterns
+      .filter((route) => route.regex.test(path))
+      .forEach((route) => methods.add(route.method));
+  }
+
   /**
    * Extract parameter values from regex matches
    * @param paramNames - Array of parameter names
@@ -79,4 +319,101 @@ class Router implements IRouter {
   }
 }
 
+/**
+ * Create an empty tree node
+ * @returns New node
+ */
+function createNode(): RouteNode {
+  return { children: new Map(), param: null, routes: [], patterns: [] };
+}
+
+/**
+ * Split a request path into segments
+ * Routes are not strict: a single trailing slash is ignored
+ * @param path - Request path
+ * @returns Path segments without the leading empty segment
+ */
+function splitPath(path: string): string[] {
+  const trimmed =
+    path.length > 1 && path.endsWith("/") ? path.slice(0, -1) : path;
+  return trimmed === "/" ? [] : trimmed.slice(1).split("/");
+}
+
+/**
+ * Split a route path into tree segments
+ * @param path - Route path pattern
+ * @returns Segments, or null if the path needs regex matching
+ */
+function toSegments(path: string): Segment[] | null {
+  if (path === "/") {
+    return [];
+  }
+
+  const segments: Segment[] = [];
+  const tokens = parse(path);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (typeof token === "string") {
+      // Static text must consist of whole, non-empty segments
+      if (!token.startsWith("/") || token.endsWith("/")) {
+        return null;
+      }
+
+      for (const value of token.slice(1).split("/")) {
+        if (value === "") {
+          return null;
+        }
+        segments.push({ type: "static", value: value.toLowerCase() });
+      }
+      continue;
+    }
+
+    // Only plain ":name" params filling a whole segment fit in the tree
+    const next = tokens[i + 1];
+    const isPlain =
+      typeof token.name === "string" &&
+      token.prefix === "/" &&
+      token.suffix === "" &&
+      token.modifier === "" &&
+      token.pattern === DEFAULT_PARAM_PATTERN &&
+      (next === undefined ||
+        (typeof next === "string" && next.startsWith("/")));
+
+    if (!isPlain) {
+      return null;
+    }
+
+    segments.push({ type: "param" });
+  }
+
+  return segments;
+}
+
+/**
+ * Leading static segments of a route path
+ * @param path - Route path pattern
+ * @returns Lower-cased static segments before the first param or pattern
+ */
+function staticPrefix(path: string): string[] {
+  const [first, next] = parse(path);
+  if (typeof first !== "string") {
+    return [];
+  }
+
+  const values = first.split("/").slice(1);
+
+  // The last piece is a partial segment when a param continues it
+  // (e.g. "/files/report-" before ":id")
+  if (next !== undefined && (typeof next === "string" || !next.prefix.startsWith("/"))) {
+    values.pop();
+  }
+
+  const emptyIndex = values.indexOf("");
+  return (emptyIndex === -1 ? values : values.slice(0, emptyIndex)).map(
+    (value) => value.toLowerCase()
+  );
+}
+
 export default Router;
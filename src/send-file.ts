@@ -0,0 +1,354 @@
+import { createReadStream, promises as fs, Stats } from "fs";
+import { IncomingHttpHeaders } from "http";
+import {
+  basename,
+  extname,
+  isAbsolute,
+  join,
+  normalize,
+  relative,
+  resolve,
+  sep,
+} from "path";
+import { Forbidden, NotFound, RangeNotSatisfiable } from "./errors";
+import { etagListMatches, isFresh } from "./utils/fresh";
+import type { IResponse } from "./types/response.js";
+import type { SendFileOptions } from "./types/static.js";
+
+/**
+ * Precompressed variants tried in order of preference
+ */
+const PRECOMPRESSED = [
+  { encoding: "br", extension: ".br" },
+  { encoding: "gzip", extension: ".gz" },
+];
+
+/**
+ * Send a file as the response
+ * Handles Content-Type, caching headers, conditional GETs (304), byte
+ * ranges (206) and precompressed variants
+ * @param res - Response wrapper object
+ * @param path - Absolute path, or a path relative to options.root
+ * @param options - File serving options
+ * @throws {NotFound} If the file does not exist or is a directory
+ * @throws {Forbidden} If the path is a denied dotfile or escapes the root
+ * @throws {RangeNotSatisfiable} If no requested byte range is satisfiable
+ */
+export async function sendFile(
+  res: IResponse,
+  path: string,
+  options: SendFileOptions = {}
+): Promise<void> {
+  const filePath = resolveFilePath(path, options);
+  const headers = res.raw.req?.headers || {};
+  const method = res.raw.req?.method || "GET";
+
+  let stat = await statFile(filePath);
+  if (!stat || !stat.isFile()) {
+    throw new NotFound("File not found");
+  }
+
+  // Serve a precompressed variant when the client accepts it
+  let servedPath = filePath;
+  let encoding: string | undefined;
+  if (options.precompressed) {
+    res.append("Vary", "Accept-Encoding");
+    for (const variant of PRECOMPRESSED) {
+      if (!acceptsEncoding(headers, variant.encoding)) {
+        continue;
+      }
+
+      const variantStat = await statFile(filePath + variant.extension);
+      if (variantStat && variantStat.isFile()) {
+        servedPath = filePath + variant.extension;
+        encoding = variant.encoding;
+        stat = variantStat;
+        break;
+      }
+    }
+  }
+
+  const lastModified =
+    options.lastModified !== false ? stat.mtime.toUTCString() : undefined;
+  const etag = options.etag !== false ? fileEtag(stat, encoding) : undefined;
+  const acceptRanges = options.acceptRanges !== false && !encoding;
+  const fresh =
+    (method === "GET" || method === "HEAD") &&
+    isFresh(headers, { etag, lastModified });
+
+  // Byte ranges, unless If-Range shows the client's copy is outdated
+  let range: { start: number; end: number } | null = null;
+  if (
+    !fresh &&
+    acceptRanges &&
+    method === "GET" &&
+    headers.range &&
+    ifRangeMatches(headers, etag, lastModified)
+  ) {
+    range = parseRange(headers.range, stat.size);
+  }
+
+  if (!res.getHeader("Content-Type")) {
+    res.type(extname(filePath) || "application/octet-stream");
+  }
+
+  if (encoding) {
+    res.setHeader("Content-Encoding", encoding);
+  }
+
+  const cacheControl = buildCacheControl(options);
+  if (cacheControl && !res.getHeader("Cache-Control")) {
+    res.setHeader("Cache-Control", cacheControl);
+  }
+
+  if (lastModified) {
+    res.setHeader("Last-Modified", lastModified);
+  }
+
+  if (etag) {
+    res.setHeader("ETag", etag);
+  }
+
+  if (acceptRanges) {
+    res.setHeader("Accept-Ranges", "bytes");
+  }
+
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    res.setHeader(name, value);
+  }
+
+  if (options.setHeaders) {
+    options.setHeaders(res, filePath, stat);
+  }
+
+  if (fresh) {
+    res.status(304).send();
+    return;
+  }
+
+  if (range) {
+    res
+      .status(206)
+      .setHeader(
+        "Content-Range",
+        `bytes ${range.start}-${range.end}/${stat.size}`
+      )
+      .setHeader("Content-Length", range.end - range.start + 1);
+    res.send(createReadStream(servedPath, range));
+    return;
+  }
+
+  res.setHeader("Content-Length", stat.size);
+  res.send(stat.size > 0 ? createReadStream(servedPath) : Buffer.alloc(0));
+}
+
+/**
+ * Build a Content-Disposition header value for a download
+ * Non-ASCII names get an RFC 5987 filename* parameter with an ASCII fallback
+ * @param filename - File name shown to the user
+ * @returns Header value, e.g. 'attachment; filename="report.pdf"'
+ */
+export function contentDisposition(filename: string): string {
+  const name = basename(filename);
+  const quoted = name.replace(/["\\]/g, "\\$&");
+  const fallback = quoted.replace(/[^\x20-\x7e]/g, "?");
+
+  if (fallback === quoted) {
+    return `attachment; filename="${fallback}"`;
+  }
+
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Resolve the path of a file, keeping it inside the root directory
+ * @param path - Absolute path, or a path relative to options.root
+ * @param options - File serving options
+ * @returns Absolute file path
+ * @throws {TypeError} If the path is relative and no root is given
+ * @throws {Forbidden} If the path escapes the root or is a denied dotfile
+ * @throws {NotFound} If the path is an ignored dotfile or contains a null byte
+ */
+export function resolveFilePath(
+  path: string,
+  options: Pick<SendFileOptions, "root" | "dotfiles">
+): string {
+  if (path.includes("\0")) {
+    throw new NotFound("File not found");
+  }
+
+  let filePath: string;
+  let checked: string;
+
+  if (options.root !== undefined) {
+    const root = resolve(options.root);
+    filePath = normalize(join(root, path));
+
+    if (filePath !== root && !filePath.startsWith(root + sep)) {
+      throw new Forbidden("Path is outside the root directory");
+    }
+    checked = relative(root, filePath);
+  } else {
+    if (!isAbsolute(path)) {
+      throw new TypeError(
+      "Path must be absolute or options.root must be set"
+    );
+    }
+    filePath = normalize(path);
+    checked = basename(filePath);
+  }
+
+  const dotfiles = options.dotfiles || "ignore";
+  const hasDotfile = checked
+    .split(sep)
+    .some((part) => part.startsWith(".") && part !== "..");
+  if (dotfiles !== "allow" && hasDotfile) {
+    if (dotfiles === "deny") {
+      throw new Forbidden("Access to dotfiles is denied");
+    }
+    throw new NotFound("File not found");
+  }
+
+  return filePath;
+}
+
+/**
+ * Stat a file, treating missing files as undefined
+ * @param path - File path
+ * @returns File stats, or undefined if the file does not exist
+ */
+export async function statFile(path: string): Promise<Stats | undefined> {
+  try {
+    return await fs.stat(path);
+  } catch (error) {
+    const code = (error as NodeJS.ErrnoException).code;
+    if (code === "ENOENT" || code === "ENOTDIR" || code === "ENAMETOOLONG") {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the Cache-Control value from the file options
+ * @param options - File serving options
+ * @returns Header value, or undefined to omit it
+ */
+function buildCacheControl(options: SendFileOptions): string | undefined {
+  if (options.cacheControl !== undefined) {
+    return options.cacheControl || undefined;
+  }
+
+  const maxAge = Math.max(0, Math.floor((options.maxAge || 0) / 1000));
+  return `public, max-age=${maxAge}${options.immutable ? ", immutable" : ""}`;
+}
+
+/**
+ * Weak entity tag built from the file size and modification time
+ * @param stat - File stats
+ * @param encoding - Content encoding of a precompressed variant
+ * @returns Entity tag
+ */
+function fileEtag(stat: Stats, encoding?: string): string {
+  const tag = `${stat.size.toString(16)}-${stat.mtime.getTime().toString(16)}`;
+  return `W/"${encoding ? `${tag}-${encoding}` : tag}"`;
+}
+
+/**
+ * Check whether Accept-Encoding allows an encoding (q=0 excludes it)
+ * @param headers - Request headers
+ * @param encoding - Content coding, e.g. "gzip"
+ * @returns True if the encoding is acceptable
+ */
+function acceptsEncoding(
+  headers: IncomingHttpHeaders,
+  encoding: string
+): boolean {
+  const header = headers["accept-encoding"];
+  if (!header) {
+    return false;
+  }
+
+  return String(header)
+    .split(",")
+    .some((part) => {
+      const [name, ...params] = part.trim().toLowerCase().split(";");
+      const quality = params
+        .map((param) => /^\s*q=([\d.]+)\s*$/.exec(param))
+        .find(Boolean);
+      return (
+        (name.trim() === encoding || name.trim() === "*") &&
+        (!quality || parseFloat(quality[1]) > 0)
+      );
+    });
+}
+
+/**
+ * Check the If-Range precondition of a range request
+ * @param headers - Request headers
+ * @param etag - Entity tag of the file
+ * @param lastModified - Last-Modified value of the file
+ * @returns True if the range can be served
+ */
+function ifRangeMatches(
+  headers: IncomingHttpHeaders,
+  etag: string | undefined,
+  lastModified: string | undefined
+): boolean {
+  const ifRange = headers["if-range"] as string | undefined;
+  if (!ifRange) {
+    return true;
+  }
+
+  // An entity tag needs a strong match, which weak file tags never are
+  if (ifRange.includes('"')) {
+    return etagListMatches(ifRange, etag, false);
+  }
+
+  return (
+    lastModified !== undefined &&
+    Date.parse(ifRange) >= Date.parse(lastModified)
+  );
+}
+
+/**
+ * Parse a single byte range
+ * Multiple ranges are not supported and are answered with the full file
+ * @param header - Range header value
+ * @param size - File size in bytes
+ * @returns Inclusive byte range, or null to send the full file
+ * @throws {RangeNotSatisfiable} If the range starts past the end of the file
+ */
+function parseRange(
+  header: string,
+  size: number
+): { start: number; end: number } | null {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  let start: number;
+  let end: number;
+
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    throw new RangeNotSatisfiable("Requested range is not satisfiable", {
+      headers: { "Content-Range": `bytes */${size}` },
+    });
+  }
+
+  return { start, end };
+}
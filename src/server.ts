@@ -0,0 +1,125 @@
+import { IncomingMessage, Server, ServerResponse, createServer } from "http";
+import {
+  Server as HttpsServer,
+  createServer as createHttpsServer,
+} from "https";
+import {
+  Http2SecureServer,
+  Http2ServerRequest,
+  Http2ServerResponse,
+  Http2Session,
+  createSecureServer,
+  createServer as createHttp2Server,
+} from "http2";
+import { Socket } from "net";
+import type { AppOptions } from "./types/app.js";
+import type { AppServer } from "./types/server.js";
+
+/**
+ * Open connections of a server, used to close them on shutdown
+ */
+interface Connections {
+  sockets: Set<Socket>;
+  sessions: Set<Http2Session>;
+}
+
+const connections = new WeakMap<AppServer, Connections>();
+
+/**
+ * Timeout options of the HTTP/1.x server
+ */
+type Http1Timeout = "keepAliveTimeout" | "headersTimeout" | "requestTimeout";
+
+/**
+ * Server answering HTTP/1.x requests; HTTP/2 over TLS only has the timeouts
+ * its HTTP/1.1 fallback uses
+ */
+type Http1Server = (Server | HttpsServer | Http2SecureServer) &
+  Partial<Pick<Server, Http1Timeout>>;
+
+/**
+ * Create the server for an app
+ * HTTP/2 requests use the compatibility API, so the same request listener
+ * handles every protocol
+ * @param options - App options (https, http2 and timeouts)
+ * @param listener - Request listener
+ * @returns Server, not listening yet
+ */
+export function createAppServer(
+  options: AppOptions,
+  listener: (req: IncomingMessage, res: ServerResponse) => void
+): AppServer {
+  const handle = (
+    req: IncomingMessage | Http2ServerRequest,
+    res: ServerResponse | Http2ServerResponse
+  ): void =>
+    listener(req as IncomingMessage, res as unknown as ServerResponse);
+
+  let server: AppServer;
+  if (options.http2 && !options.https) {
+    // Cleartext HTTP/2 servers have no HTTP/1.x timeouts
+    server = createHttp2Server(handle);
+  } else {
+    const http1: Http1Server = options.http2
+      ? createSecureServer({ allowHTTP1: true, ...options.https }, handle)
+      : options.https
+        ? createHttpsServer(options.https, handle)
+        : createServer(handle);
+    setHttp1Timeouts(http1, options);
+    server = http1;
+  }
+
+  const tracked: Connections = { sockets: new Set(), sessions: new Set() };
+  connections.set(server, tracked);
+  server.on("connection", (socket: Socket) => {
+    tracked.sockets.add(socket);
+    socket.once("close", () => tracked.sockets.delete(socket));
+  });
+  server.on("session", (session: Http2Session) => {
+    tracked.sessions.add(session);
+    session.once("close", () => tracked.sessions.delete(session));
+  });
+
+  return server;
+}
+
+/**
+ * Close the connections of a server that have no request in progress
+ * HTTP/2 sessions are sent a GOAWAY and close once their streams finish
+ * @param server - Server created by createAppServer()
+ */
+export function closeIdleConnections(server: AppServer): void {
+  if ("closeIdleConnections" in server) {
+    server.closeIdleConnections();
+  }
+
+  connections.get(server)?.sessions.forEach((session) => session.close());
+}
+
+/**
+ * Destroy every open connection of a server
+ * @param server - Server created by createAppServer()
+ */
+export function closeAllConnections(server: AppServer): void {
+  const tracked = connections.get(server);
+  tracked?.sessions.forEach((session) => session.destroy());
+  tracked?.sockets.forEach((socket) => socket.destroy());
+}
+
+/**
+ * Apply the HTTP/1.x timeout options a server supports
+ * @param server - Server answering HTTP/1.x requests
+ * @param options - App options
+ */
+function setHttp1Timeouts(server: Http1Server, options: AppOptions): void {
+  for (const timeout of [
+    "keepAliveTimeout",
+    "headersTimeout",
+    "requestTimeout",
+  ] as const) {
+    const value = options[timeout];
+    if (value !== undefined && timeout in server) {
+      server[timeout] = value;
+    }
+  }
+}
@@ -0,0 +1,170 @@
+import { ServerResponse } from "http";
+import { PassThrough } from "stream";
+import type { IEventStream, SseMessage, SseOptions } from "./types/sse.js";
+
+/**
+ * Default time between heartbeats, below the idle timeout of most proxies
+ */
+const DEFAULT_HEARTBEAT = 15000;
+
+/**
+ * Server-sent event stream written to a response
+ * Events are written to a body stream the response pipes to the client; the
+ * stream closes when the client disconnects or close() is called
+ */
+export class EventStream implements IEventStream {
+  private _body: PassThrough;
+  private _listeners: Array<() => void>;
+  private _heartbeat: NodeJS.Timeout | null;
+  private _closed: boolean;
+
+  constructor(res: ServerResponse, options: SseOptions = {}) {
+    this._body = new PassThrough();
+    this._listeners = [];
+    this._heartbeat = null;
+    this._closed = false;
+
+    res.once("close", () => this._finish());
+    this._body.once("close", () => this._finish());
+
+    // The first chunk sends the headers, so clients see the stream open
+    // before any event
+    if (options.retry !== undefined) {
+      this.send({ retry: options.retry });
+    } else {
+      this.comment();
+    }
+
+    const interval = options.heartbeat ?? DEFAULT_HEARTBEAT;
+    if (interval !== false && interval > 0) {
+      this._heartbeat = setInterval(() => this.comment(), interval);
+      this._heartbeat.unref();
+    }
+  }
+
+  /**
+   * Body stream piped to the response
+   */
+  get body(): PassThrough {
+    return this._body;
+  }
+
+  /**
+   * Whether the stream ended, or the client disconnected
+   */
+  get closed(): boolean {
+    return this._closed;
+  }
+
+  /**
+   * Send an event
+   * Usage: stream.send({ event: 'progress', data: { percent: 40 }, id: 7 })
+   * @param message - Event fields, or a string sent as data
+   * @returns False once closed, or while the client reads slower than events
+   * are sent
+   * @throws TypeError If the event type or ID contains a line break
+   */
+  send(message: SseMessage | string): boolean {
+    const { event, data, id, retry } =
+      typeof message === "string" ? { data: message } : message;
+
+    let frame = "";
+    if (event !== undefined) {
+      frame += `event: ${singleLine("event", event)}\n`;
+    }
+    if (id !== undefined) {
+      frame += `id: ${singleLine("id", String(id))}\n`;
+    }
+    if (retry !== undefined) {
+      frame += `retry: ${Math.max(Math.floor(retry), 0)}\n`;
+    }
+    if (data !== undefined) {
+      const text = typeof data === "string" ? data : JSON.stringify(data);
+      for (const line of text.split(/\r\n|\r|\n/)) {
+        frame += `data: ${line}\n`;
+      }
+    }
+
+    return this._writeFrame(frame);
+  }
+
+  /**
+   * Send a comment, which clients ignore
+   * @param text - Comment text
+   * @returns False once closed, or while the client lags
+   */
+  comment(text = ""): boolean {
+    const lines = text.split(/\r\n|\r|\n/);
+    return this._writeFrame(lines.map((line) => `:${line}\n`).join(""));
+  }
+
+  /**
+   * Call a listener once the stream closes
+   * Listeners added after the stream closed are called right away
+   * @param listener - Function to call
+   */
+  onClose(listener: () => void): void {
+    if (this._closed) {
+      listener();
+      return;
+    }
+    this._listeners.push(listener);
+  }
+
+  /**
+   * End the stream and the response
+   */
+  close(): void {
+    if (!this._closed) {
+      this._body.end();
+      this._finish();
+    }
+  }
+
+  /**
+   * Write an event, terminated by a blank line
+   * @param frame - Event lines
+   * @returns False once closed, or while the client lags
+   * @private
+   */
+  private _writeFrame(frame: string): boolean {
+    if (this._closed || frame === "") {
+      return false;
+    }
+    return this._body.write(`${frame}\n`);
+  }
+
+  /**
+   * Stop the heartbeat and notify the close listeners, once
+   * @private
+   */
+  private _finish(): void {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    if (this._heartbeat) {
+      clearInterval(this._heartbeat);
+      this._heartbeat = null;
+    }
+
+    for (const listener of this._listeners.splice(0)) {
+      listener();
+    }
+  }
+}
+
+/**
+ * Check that an event field fits on one line
+ * @param field - Field name, for the error message
+ * @param value - Field value
+ * @returns The value
+ * @throws TypeError If the value contains a line break
+ */
+function singleLine(field: string, value: string): string {
+  if (/[\r\n]/.test(value)) {
+    throw new TypeError(`Event ${field} cannot contain line breaks`);
+  }
+  return value;
+}
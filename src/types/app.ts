@@ -1,10 +1,94 @@
 import { Server } from "http";
-import { RouteHandler, MiddlewareFunction } from "./middleware";
+import { ServerOptions as HttpsServerOptions } from "https";
+import { AddressInfo } from "net";
+import { RouteHandler, MiddlewareFunction, ErrorHandler } from "./middleware";
+import { RouteOptions } from "./router";
+import {
+  BodyParserOptions,
+  ContentTypeParser,
+  ContentTypeParserOptions,
+} from "./body-parser";
+import { OpenApiOptions } from "./openapi";
+import { InjectOptions, InjectResponse } from "./inject";
+import { HookName, Hooks } from "./hooks";
+import { CloseOptions, HealthOptions, ShutdownOptions } from "./shutdown";
+import { AppServer, ListenOptions } from "./server";
+import { GenRequestId, Logger, LoggerOptions } from "./logger";
+import { WebSocketRouteArgs } from "./websocket";
 
 /**
  * Application configuration options
  */
 export interface AppOptions {
+  /**
+   * Send the message of unexposed (5xx) errors to clients
+   * Defaults to true unless NODE_ENV is "production"
+   */
+  exposeErrors?: boolean;
+  /**
+   * Default body parser configuration for every route (false disables parsing)
+   */
+  bodyParser?: BodyParserOptions | false;
+  /**
+   * Secret(s) for signed cookies, newest first; older secrets are still
+   * accepted when verifying, so secrets can be rotated
+   */
+  cookieSecret?: string | string[];
+  /**
+   * Graceful shutdown settings: the default app.close() timeout and the
+   * signals that close the app
+   */
+  shutdown?: ShutdownOptions;
+  /**
+   * TLS options (key, cert, ca, pfx, passphrase, ...) to serve HTTPS
+   */
+  https?: HttpsServerOptions;
+  /**
+   * Serve HTTP/2; with https, HTTP/1.1 clients are still served through
+   * ALPN negotiation, without it only cleartext HTTP/2 (h2c) is accepted
+   */
+  http2?: boolean;
+  /**
+   * Milliseconds an idle keep-alive connection is kept open (HTTP/1.x)
+   */
+  keepAliveTimeout?: number;
+  /**
+   * Milliseconds allowed to receive the request headers (HTTP/1.x)
+   */
+  headersTimeout?: number;
+  /**
+   * Milliseconds allowed to receive the entire request (HTTP/1.x)
+   */
+  requestTimeout?: number;
+  /**
+   * Logger instance (e.g. pino), options for the built-in JSON logger, or
+   * false to log nothing; defaults to the built-in logger at the info level
+   */
+  logger?: boolean | Logger | LoggerOptions;
+  /**
+   * Write an entry for every response: method, URL, route pattern, headers,
+   * status and duration; defaults to true when the logger option is set
+   */
+  accessLog?: boolean;
+  /**
+   * Header to read request IDs from and echo them in, or false to always
+   * generate them without echoing (default "x-request-id")
+   */
+  requestIdHeader?: string | false;
+  /**
+   * Generate request IDs for requests without a valid one (default UUIDs)
+   */
+  genRequestId?: GenRequestId;
+  /**
+   * Headers whose values are replaced with "[Redacted]" in access logs
+   * (default authorization, proxy-authorization, cookie and set-cookie)
+   */
+  redactHeaders?: string[];
+  /**
+   * Generate ETags for buffered response bodies ("weak" when true) and
+   * answer fresh conditional GET and HEAD requests with 304 Not Modified
+   */
+  etag?: boolean | "weak" | "strong";
   [key: string]: any;
 }
 
@@ -14,16 +98,52 @@ export interface AppOptions {
  */
 export type Handler = RouteHandler | MiddlewareFunction;
 
+/**
+ * Arguments accepted after the path by route registration methods:
+ * handlers, optionally preceded by a route options object
+ */
+export type RouteArgs = Handler[] | [RouteOptions, ...Handler[]];
+
+/**
+ * Values accepted by app.use(): middleware, error handlers, or routers and
+ * apps to mount
+ */
+export type UseHandler = MiddlewareFunction | ErrorHandler | IApp;
+
+/**
+ * Chainable route definition returned by app.route(path)
+ * Each method registers the path for that HTTP method and returns the chain
+ */
+export interface RouteChain {
+  get(...args: RouteArgs): RouteChain;
+  post(...args: RouteArgs): RouteChain;
+  put(...args: RouteArgs): RouteChain;
+  delete(...args: RouteArgs): RouteChain;
+  patch(...args: RouteArgs): RouteChain;
+  head(...args: RouteArgs): RouteChain;
+  options(...args: RouteArgs): RouteChain;
+  all(...args: RouteArgs): RouteChain;
+  on(method: string | string[], ...args: RouteArgs): RouteChain;
+}
+
 /**
  * Group context for route grouping
  */
 export interface GroupContext {
-  use(middleware: MiddlewareFunction): void;
-  get(path: string, ...handlers: Handler[]): void;
-  post(path: string, ...handlers: Handler[]): void;
-  put(path: string, ...handlers: Handler[]): void;
-  delete(path: string, ...handlers: Handler[]): void;
-  patch(path: string, ...handlers: Handler[]): void;
+  use(middleware: MiddlewareFunction | ErrorHandler): void;
+  onError(handler: ErrorHandler): void;
+  addHook<K extends HookName>(name: K, hook: Hooks[K]): void;
+  get(path: string, ...args: RouteArgs): void;
+  post(path: string, ...args: RouteArgs): void;
+  put(path: string, ...args: RouteArgs): void;
+  delete(path: string, ...args: RouteArgs): void;
+  patch(path: string, ...args: RouteArgs): void;
+  head(path: string, ...args: RouteArgs): void;
+  options(path: string, ...args: RouteArgs): void;
+  all(path: string, ...args: RouteArgs): void;
+  on(method: string | string[], path: string, ...args: RouteArgs): void;
+  ws(path: string, ...args: WebSocketRouteArgs): void;
+  route(path: string): RouteChain;
   group(prefix: string, callback: (context: GroupContext) => void): void;
 }
 
@@ -31,12 +151,35 @@ export interface GroupContext {
  * Main application interface
  */
 export interface IApp {
-  get(path: string, ...handlers: Handler[]): void;
-  post(path: string, ...handlers: Handler[]): void;
-  put(path: string, ...handlers: Handler[]): void;
-  delete(path: string, ...handlers: Handler[]): void;
-  patch(path: string, ...handlers: Handler[]): void;
-  use(middleware: MiddlewareFunction): void;
+  /** Logger of the app; requests log through req.log */
+  readonly log: Logger;
+  get(path: string, ...args: RouteArgs): void;
+  post(path: string, ...args: RouteArgs): void;
+  put(path: string, ...args: RouteArgs): void;
+  delete(path: string, ...args: RouteArgs): void;
+  patch(path: string, ...args: RouteArgs): void;
+  head(path: string, ...args: RouteArgs): void;
+  options(path: string, ...args: RouteArgs): void;
+  all(path: string, ...args: RouteArgs): void;
+  on(method: string | string[], path: string, ...args: RouteArgs): void;
+  ws(path: string, ...args: WebSocketRouteArgs): void;
+  route(path: string): RouteChain;
+  use(...handlers: UseHandler[]): void;
+  use(path: string, ...handlers: UseHandler[]): void;
+  mount(prefix: string, app: IApp): void;
+  openapi(options: OpenApiOptions): void;
+  inject(options?: InjectOptions): Promise<InjectResponse>;
+  onError(handler: ErrorHandler): void;
+  addHook<K extends HookName>(name: K, hook: Hooks[K]): void;
+  addContentTypeParser(
+    type: string | string[],
+    parser: ContentTypeParser,
+    options?: ContentTypeParserOptions
+  ): void;
   group(prefix: string, callback: (context: GroupContext) => void): void;
+  readonly server: AppServer | null;
   listen(port: number, callback?: () => void): Server;
+  listen(options: ListenOptions): Promise<AddressInfo | string>;
+  close(options?: CloseOptions): Promise<void>;
+  health(options?: HealthOptions): void;
 }
@@ -0,0 +1,122 @@
+import type { Writable } from "stream";
+import type { IRequest } from "./request.js";
+
+/**
+ * Custom content-type parser
+ * Receives the raw body and returns the value assigned to req.body
+ */
+export type ContentTypeParser = (
+  body: Buffer,
+  req: IRequest
+) => any | Promise<any>;
+
+/**
+ * Options shared by the built-in parsers
+ */
+export interface ParserOptions {
+  /** Maximum body size in bytes or as a string such as "100kb" (413 when exceeded) */
+  limit?: number | string;
+  /** Content types handled by the parser (supports "text/*" and "application/*+json") */
+  type?: string | string[];
+}
+
+/**
+ * Options for the text parser
+ */
+export interface TextParserOptions extends ParserOptions {
+  /** Charset used when the request does not declare one (default "utf-8") */
+  defaultCharset?: string;
+}
+
+/**
+ * Options for custom content-type parsers
+ */
+export interface ContentTypeParserOptions {
+  limit?: number | string;
+}
+
+/**
+ * When a request body is read:
+ * - "eager": before any middleware runs
+ * - "auto": right before the route handlers, so requests rejected by routing
+ *   or middleware never read their body
+ * - "lazy" (default): only when the application asks for it (req.json(),
+ *   req.text(), req.buffer() or for await (const chunk of req)), or for a
+ *   route with a body schema; req.body stays null otherwise
+ */
+export type BodyParseMode = "eager" | "auto" | "lazy";
+
+/**
+ * Body parser configuration for the application or a single route
+ * Set a parser to false to disable it; requests with a body that no enabled
+ * parser accepts are rejected with 415 Unsupported Media Type
+ */
+export interface BodyParserOptions {
+  /** When the body is read (default "lazy") */
+  mode?: BodyParseMode;
+  /** Default limit for all parsers (default "1mb") */
+  limit?: number | string;
+  /** application/json and application/*+json, parsed with JSON.parse */
+  json?: ParserOptions | false;
+  /** application/x-www-form-urlencoded, parsed into an object */
+  urlencoded?: ParserOptions | false;
+  /** text/*, decoded into a string using the declared charset */
+  text?: TextParserOptions | false;
+  /** application/octet-stream, exposed as a Buffer */
+  raw?: ParserOptions | false;
+  /** multipart/form-data, fields in req.body and files in req.files */
+  multipart?: MultipartOptions | false;
+}
+
+/**
+ * Information about a file part, passed to a custom multipart sink
+ */
+export interface FileInfo {
+  /** Form field name */
+  fieldname: string;
+  /** Original file name sent by the client (directory components removed) */
+  filename: string;
+  /** Content type declared for the part */
+  mimetype: string;
+  /** Content-Transfer-Encoding declared for the part (default "7bit") */
+  encoding: string;
+}
+
+/**
+ * File received through a multipart/form-data upload (available on req.files)
+ */
+export interface UploadedFile extends FileInfo {
+  /** Size in bytes */
+  size: number;
+  /** Location of the temporary file (undefined when a custom sink is used) */
+  path?: string;
+}
+
+/**
+ * Limits enforced while parsing multipart/form-data (413 when exceeded)
+ */
+export interface MultipartLimits {
+  /** Maximum number of file parts (default 10) */
+  files?: number;
+  /** Maximum size of a single file (default "10mb") */
+  fileSize?: number | string;
+  /** Maximum number of non-file fields (default 100) */
+  fields?: number;
+  /** Maximum size of a single field value (default "100kb") */
+  fieldSize?: number | string;
+  /** Maximum size of the headers of a single part (default "16kb") */
+  headerSize?: number | string;
+}
+
+/**
+ * Options for the multipart/form-data parser
+ */
+export interface MultipartOptions {
+  /** Content types handled by the parser (default "multipart/form-data") */
+  type?: string | string[];
+  limits?: MultipartLimits;
+  /** Directory for temporary files (default os.tmpdir()); files are removed when the response finishes */
+  tmpDir?: string;
+  /** Custom destination for file contents, e.g. an object storage upload stream */
+  sink?: (file: FileInfo) => Writable | Promise<Writable>;
+}
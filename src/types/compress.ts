@@ -0,0 +1,23 @@
+import type { IRequest } from "./request.js";
+import type { IResponse } from "./response.js";
+
+/**
+ * Content codings compress() can apply
+ */
+export type CompressEncoding = "br" | "gzip" | "deflate";
+
+/**
+ * Options for the compress() middleware
+ */
+export interface CompressOptions {
+  /** Minimum body size to compress, in bytes or as "1kb" (default 1024) */
+  threshold?: number | string;
+  /** Codings offered, preferred first when the client has no preference (default br, gzip, deflate) */
+  encodings?: CompressEncoding[];
+  /** Decide whether a response is compressed (default: compressible Content-Types) */
+  filter?: (req: IRequest, res: IResponse) => boolean;
+  /** gzip and deflate compression level, 0-9 (default 6) */
+  level?: number;
+  /** Brotli quality, 0-11 (default 4, fast enough for dynamic responses) */
+  brotliQuality?: number;
+}
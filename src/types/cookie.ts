@@ -0,0 +1,25 @@
+/**
+ * Options for cookies set with res.cookie()
+ */
+export interface CookieOptions {
+  /** Lifetime in milliseconds (sets Max-Age, and Expires for older clients) */
+  maxAge?: number;
+  /** Absolute expiry date */
+  expires?: Date;
+  /** Domain the cookie is sent to */
+  domain?: string;
+  /** Path the cookie is sent to (defaults to "/") */
+  path?: string;
+  /** Only send the cookie over HTTPS */
+  secure?: boolean;
+  /** Hide the cookie from client-side scripts */
+  httpOnly?: boolean;
+  /** Cross-site policy; true means "Strict" */
+  sameSite?: boolean | "strict" | "lax" | "none";
+  /** Store the cookie in partitioned storage (CHIPS) */
+  partitioned?: boolean;
+  /** Sign the value with the cookieSecret app option (read it from req.signedCookies) */
+  signed?: boolean;
+  /** Encode the value (defaults to encodeURIComponent) */
+  encode?: (value: string) => string;
+}
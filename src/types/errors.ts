@@ -0,0 +1,26 @@
+import { OutgoingHttpHeaders } from "http";
+
+/**
+ * Options accepted by HttpError constructors
+ */
+export interface HttpErrorOptions {
+  /** Headers to set on the error response (e.g. `Allow`, `Retry-After`) */
+  headers?: OutgoingHttpHeaders;
+  /** Whether the message is safe to send to clients (defaults to status < 500) */
+  expose?: boolean;
+  /** Extra structured data included in the error response as `details` */
+  details?: unknown;
+  /** Underlying error that caused this one */
+  cause?: unknown;
+}
+
+/**
+ * Shape of the JSON body written by the default error handler
+ */
+export interface ErrorResponseBody {
+  error: string;
+  message: string;
+  path: string;
+  method: string;
+  details?: unknown;
+}
@@ -0,0 +1,68 @@
+import type { Readable } from "stream";
+import type { IRequest } from "./request.js";
+import type { IResponse } from "./response.js";
+
+/**
+ * Serialized response body passed to onSend hooks (null for no body)
+ */
+export type SendPayload = string | Buffer | Readable | null;
+
+/**
+ * Hook running at a stage of the request lifecycle
+ * Sending a response from a hook skips the rest of the lifecycle
+ */
+export type RequestHook = (
+  req: IRequest,
+  res: IResponse
+) => void | Promise<void>;
+
+/**
+ * Hook running before the response is written
+ * Returning a value replaces the payload; headers can still be changed
+ */
+export type OnSendHook = (
+  req: IRequest,
+  res: IResponse,
+  payload: SendPayload
+) => SendPayload | void | Promise<SendPayload | void>;
+
+/**
+ * Hook observing errors before the error handlers run
+ */
+export type OnErrorHook = (
+  req: IRequest,
+  res: IResponse,
+  error: unknown
+) => void | Promise<void>;
+
+/**
+ * Hook running when the server shuts down
+ */
+export type OnCloseHook = () => void | Promise<void>;
+
+/**
+ * Hook signatures by lifecycle stage, in the order the stages run:
+ * onRequest (before the body is read), middleware, preValidation,
+ * schema validation, preHandler, the handlers, onSend and onResponse
+ * (once the response has finished); onError runs for errors and onClose
+ * at shutdown
+ */
+export interface Hooks {
+  onRequest: RequestHook;
+  preValidation: RequestHook;
+  preHandler: RequestHook;
+  onSend: OnSendHook;
+  onResponse: RequestHook;
+  onError: OnErrorHook;
+  onClose: OnCloseHook;
+}
+
+/**
+ * Name of a lifecycle stage
+ */
+export type HookName = keyof Hooks;
+
+/**
+ * Registered hooks by lifecycle stage
+ */
+export type HookStore = { [K in HookName]: Array<Hooks[K]> };
@@ -3,6 +3,7 @@ export type {
   NextFunction,
   MiddlewareFunction,
   RouteHandler,
+  ErrorHandler,
 } from "./middleware";
 
 // Request types
@@ -11,16 +12,154 @@ export type {
   QueryParams,
   RequestBody,
   IRequest,
+  Validators,
 } from "./request";
 
 // Response types
-export type { IResponse } from "./response";
+export type {
+  FormatHandlers,
+  IResponse,
+  ResponseBody,
+  Serializer,
+  Serializers,
+} from "./response";
+
+// Static file types
+export type { SendFileOptions, StaticOptions } from "./static";
+
+// Compression types
+export type { CompressEncoding, CompressOptions } from "./compress";
+
+// Rate limiting types
+export type {
+  RateLimitAlgorithm,
+  RateLimitStore,
+  RateLimitOptions,
+} from "./rate-limit";
+
+// Server-sent event types
+export type { IEventStream, SseMessage, SseOptions } from "./sse";
+
+// WebSocket types
+export type {
+  IWebSocket,
+  WebSocketData,
+  WebSocketHandler,
+  WebSocketOptions,
+  WebSocketRouteArgs,
+} from "./websocket";
+
+// Security headers types
+export type {
+  SecurityHeadersOptions,
+  ContentSecurityPolicyOptions,
+  CspDirectives,
+  CspDirectiveValue,
+  CspSourceFunction,
+  StrictTransportSecurityOptions,
+  ReferrerPolicy,
+  PermissionsPolicy,
+} from "./security-headers";
+
+// Cookie and session types
+export type { CookieOptions } from "./cookie";
+export type {
+  Session,
+  SessionData,
+  SessionStore,
+  SessionOptions,
+} from "./session";
+
+// Validation types
+export type {
+  SchemaType,
+  JSONSchema,
+  RouteSchema,
+  ValidationIssue,
+  ValidationResult,
+  ValidateOptions,
+} from "./validation";
+
+// OpenAPI types
+export type {
+  OpenApiInfo,
+  OpenApiOptions,
+  OpenApiOperation,
+  OpenApiDocument,
+} from "./openapi";
+
+// Lifecycle hook types
+export type {
+  SendPayload,
+  RequestHook,
+  OnSendHook,
+  OnErrorHook,
+  OnCloseHook,
+  Hooks,
+  HookName,
+  HookStore,
+} from "./hooks";
+
+// Logger types
+export type {
+  LogLevel,
+  LogFn,
+  Logger,
+  LogStream,
+  LoggerOptions,
+  GenRequestId,
+} from "./logger";
+
+// Server types
+export type { ListenOptions, AppServer } from "./server";
+
+// Shutdown types
+export type {
+  CloseOptions,
+  ShutdownOptions,
+  HealthOptions,
+} from "./shutdown";
+
+// Injection types
+export type { InjectOptions, InjectResponse } from "./inject";
 
 // Router types
-export type { HttpMethod, Route, RouteMatch, IRouter } from "./router";
+export type {
+  HttpMethod,
+  Route,
+  RouteGroup,
+  RouteOptions,
+  RouteMatch,
+  IRouter,
+} from "./router";
 
 // App types
-export type { AppOptions, GroupContext, IApp } from "./app";
+export type {
+  AppOptions,
+  Handler,
+  RouteArgs,
+  RouteChain,
+  UseHandler,
+  GroupContext,
+  IApp,
+} from "./app";
 
 // CORS types
 export type { CorsOrigin, CorsOptions } from "./cors";
+
+// Error types
+export type { HttpErrorOptions, ErrorResponseBody } from "./errors";
+
+// Body parser types
+export type {
+  BodyParseMode,
+  BodyParserOptions,
+  ParserOptions,
+  TextParserOptions,
+  ContentTypeParser,
+  ContentTypeParserOptions,
+  MultipartOptions,
+  MultipartLimits,
+  FileInfo,
+  UploadedFile,
+} from "./body-parser";
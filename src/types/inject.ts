@@ -0,0 +1,46 @@
+import type { OutgoingHttpHeaders } from "http";
+import type { Readable } from "stream";
+
+/**
+ * Value of a query param passed to app.inject()
+ */
+type QueryValue = string | number | boolean;
+
+/**
+ * Request to simulate with app.inject()
+ */
+export interface InjectOptions {
+  /** HTTP method (default "GET") */
+  method?: string;
+  /** Request URL, may include a query string (default "/") */
+  url?: string;
+  /** Request headers; names are case-insensitive */
+  headers?: { [name: string]: string | string[] | number | undefined };
+  /** Query params appended to the URL */
+  query?: { [name: string]: QueryValue | QueryValue[] };
+  /** Cookies sent in the Cookie header */
+  cookies?: { [name: string]: string };
+  /** Request body; objects are sent as JSON */
+  payload?: string | Buffer | Uint8Array | Readable | object;
+  /** Address reported as req.socket.remoteAddress (default "127.0.0.1") */
+  remoteAddress?: string;
+}
+
+/**
+ * Response captured by app.inject()
+ */
+export interface InjectResponse {
+  statusCode: number;
+  statusMessage: string;
+  /** Response headers with lower-case names */
+  headers: OutgoingHttpHeaders;
+  /** Response body bytes (empty for HEAD requests, 204 and 304 responses) */
+  rawBody: Buffer;
+  /** Response body decoded as UTF-8 */
+  body: string;
+  /**
+   * Parse the body as JSON
+   * @throws {SyntaxError} If the body is not valid JSON
+   */
+  json<T = any>(): T;
+}
@@ -0,0 +1,55 @@
+import type { IncomingMessage } from "http";
+
+/**
+ * Severity of a log entry, from most to least severe
+ */
+export type LogLevel = "fatal" | "error" | "warn" | "info" | "debug" | "trace";
+
+/**
+ * Log method; extra fields come first, as in pino
+ * Usage: req.log.info({ userId }, 'user created') or req.log.warn('slow')
+ */
+export interface LogFn {
+  (obj: object, msg?: string): void;
+  (msg: string): void;
+}
+
+/**
+ * Logger interface, compatible with pino loggers
+ */
+export interface Logger {
+  /** Minimum level written, or "silent" */
+  level: string;
+  fatal: LogFn;
+  error: LogFn;
+  warn: LogFn;
+  info: LogFn;
+  debug: LogFn;
+  trace: LogFn;
+  /** Create a logger adding these fields to every entry */
+  child(bindings: Record<string, unknown>): Logger;
+}
+
+/**
+ * Destination of the built-in logger's JSON lines
+ */
+export interface LogStream {
+  write(line: string): unknown;
+}
+
+/**
+ * Options for the built-in JSON logger
+ */
+export interface LoggerOptions {
+  /** Minimum level written, or "silent" to write nothing (default "info") */
+  level?: LogLevel | "silent";
+  /** Where entries are written, one JSON object per line (default stdout) */
+  stream?: LogStream;
+  /** Fields added to every entry (default pid and hostname) */
+  base?: Record<string, unknown>;
+}
+
+/**
+ * Request ID generator used when a request carries no valid ID
+ */
+export type GenRequestId = (req: IncomingMessage) => string;
@@ -22,3 +22,15 @@ export type RouteHandler = (
   req: IRequest,
   res: IResponse
 ) => void | Promise<void>;
+
+/**
+ * Error handler signature (Express-style error middleware with four arguments)
+ * Registered with app.onError(), group.onError() or app.use((err, req, res, next) => ...)
+ * Handlers that do not send a response pass the error on; next(err) replaces it
+ */
+export type ErrorHandler = (
+  err: any,
+  req: IRequest,
+  res: IResponse,
+  next: NextFunction
+) => void | Promise<void>;
@@ -0,0 +1,50 @@
+/**
+ * Info object of an OpenAPI document
+ */
+export interface OpenApiInfo {
+  title: string;
+  version: string;
+  description?: string;
+  [field: string]: any;
+}
+
+/**
+ * Options for app.openapi() and generateOpenApi()
+ */
+export interface OpenApiOptions {
+  info: OpenApiInfo;
+  /** Path app.openapi() serves the document at (default "/openapi.json") */
+  path?: string;
+  /** Server URLs (defaults to the prefix the app is mounted under, if any) */
+  servers?: Array<{ url: string; description?: string; [field: string]: any }>;
+  tags?: Array<{ name: string; description?: string; [field: string]: any }>;
+  /** Reusable components (schemas, securitySchemes, ...) */
+  components?: { [type: string]: any };
+  /** Security requirements applied to every operation */
+  security?: Array<{ [scheme: string]: string[] }>;
+  externalDocs?: { url: string; description?: string };
+}
+
+/**
+ * Operation of an OpenAPI document
+ */
+export interface OpenApiOperation {
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  operationId?: string;
+  deprecated?: boolean;
+  parameters?: Array<{ [field: string]: any }>;
+  requestBody?: { [field: string]: any };
+  responses: { [status: string]: { [field: string]: any } };
+}
+
+/**
+ * OpenAPI 3.1 document generated from the route table
+ */
+export interface OpenApiDocument {
+  openapi: string;
+  info: OpenApiInfo;
+  paths: { [path: string]: { [method: string]: OpenApiOperation } };
+  [field: string]: any;
+}
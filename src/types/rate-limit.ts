@@ -0,0 +1,47 @@
+import type { IRequest } from "./request.js";
+
+/**
+ * How hits are counted
+ * "fixed-window" resets the count at the end of every window;
+ * "sliding-window" weighs the previous window's count by how much of it
+ * still overlaps the last windowMs, which smooths bursts at window edges
+ */
+export type RateLimitAlgorithm = "fixed-window" | "sliding-window";
+
+/**
+ * Storage backend for rate limit counters
+ * Implement it to share limits between processes, e.g. with Redis INCR,
+ * DECR and PEXPIRE; increment must be atomic
+ */
+export interface RateLimitStore {
+  /** Add one to a counter, creating it with a lifetime of ttl milliseconds; resolves with the new count */
+  increment(key: string, ttl: number): Promise<number>;
+  /** Subtract one from a counter, undoing the increment of a rejected request */
+  decrement(key: string): Promise<void>;
+  /** Read a counter, or 0 if it does not exist or expired */
+  get(key: string): Promise<number>;
+}
+
+/**
+ * Options for the rateLimit() middleware
+ */
+export interface RateLimitOptions {
+  /** Length of a window in milliseconds (default 60000) */
+  windowMs?: number;
+  /** Requests allowed per window and client, or a function picking it per request (default 100) */
+  limit?: number | ((req: IRequest) => number | Promise<number>);
+  /** Counting algorithm (default "fixed-window") */
+  algorithm?: RateLimitAlgorithm;
+  /** Identify the client (default: req.ip) */
+  keyGenerator?: (req: IRequest) => string | Promise<string>;
+  /** Counter store (default: a new in-memory store) */
+  store?: RateLimitStore;
+  /** Prefix of the store keys; limiters sharing a store need different prefixes (default "rl:") */
+  prefix?: string;
+  /** Let a request through without counting it */
+  skip?: (req: IRequest) => boolean | Promise<boolean>;
+  /** Message of the 429 error (default "Too many requests, please try again later") */
+  message?: string;
+  /** Send RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy (default true) */
+  headers?: boolean;
+}
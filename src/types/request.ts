@@ -1,4 +1,7 @@
 import { IncomingHttpHeaders } from "http";
+import type { UploadedFile } from "./body-parser.js";
+import type { Session } from "./session.js";
+import type { Logger } from "./logger.js";
 
 /**
  * Route parameters extracted from URL
@@ -19,15 +22,63 @@ export interface QueryParams {
  */
 export type RequestBody = any;
 
+/**
+ * Validators of a resource, compared against conditional request headers
+ */
+export interface Validators {
+  etag?: string;
+  lastModified?: string | Date;
+}
+
 /**
  * Request interface extending Node.js IncomingMessage
+ * The body can also be read on demand, or iterated chunk by chunk
  */
-export interface IRequest {
+export interface IRequest extends AsyncIterable<Buffer> {
   readonly method: string;
   readonly url: string;
   readonly headers: IncomingHttpHeaders;
-  readonly path: string;
+  readonly originalUrl: string;
+  /** Path relative to the router handling the request */
+  path: string;
+  /** Path prefix of the routers the request was mounted through */
+  baseUrl: string;
   query: QueryParams;
   params: RouteParams;
   body: RequestBody;
+  files: UploadedFile[];
+  /** Address of the client the connection comes from (the proxy's, behind one) */
+  readonly ip: string;
+  readonly secure: boolean;
+  readonly cookies: { [name: string]: string };
+  readonly signedCookies: { [name: string]: string | false };
+  /** Session loaded by the session() middleware */
+  session?: Session;
+  /** Request ID, from the X-Request-Id header or generated */
+  readonly id: string;
+  /** Logger adding the request ID to every entry */
+  readonly log: Logger;
+  /** Pattern of the matched route, including mount prefixes */
+  readonly routePath?: string;
+  /** Preferred type from the Accept header, or the accepted types */
+  accepts(): string[];
+  accepts(...types: string[]): string | false;
+  /** Preferred language from Accept-Language, or the accepted ones */
+  acceptsLanguages(): string[];
+  acceptsLanguages(...languages: string[]): string | false;
+  /** Preferred charset from the Accept-Charset header, or the accepted ones */
+  acceptsCharsets(): string[];
+  acceptsCharsets(...charsets: string[]): string | false;
+  /** Matching type of the request body, false, or null without a body */
+  is(...types: string[]): string | false | null;
+  /** Whether the client's cached copy matches the response validators */
+  readonly fresh: boolean;
+  readonly stale: boolean;
+  /** Throw PreconditionFailed (412) if If-Match or If-Unmodified-Since fail */
+  checkPreconditions(validators: Validators): void;
+  /** ID of the last event a reconnecting event stream client received */
+  readonly lastEventId?: string;
+  buffer(): Promise<Buffer>;
+  text(): Promise<string>;
+  json<T = any>(): Promise<T>;
 }
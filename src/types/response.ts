@@ -1,10 +1,60 @@
+import { OutgoingHttpHeader, ServerResponse } from "http";
+import { Readable } from "stream";
+import type { CookieOptions } from "./cookie.js";
+import type { SendFileOptions } from "./static.js";
+import type { IEventStream, SseOptions } from "./sse.js";
+
+/**
+ * Body accepted by res.send(): text, binary data, a stream, or a value sent as JSON
+ */
+export type ResponseBody = string | Buffer | Uint8Array | Readable | object | null;
+
+/**
+ * Serialize a value sent with res.send() for a content type
+ */
+export type Serializer = (data: any) => string | Buffer;
+
+/**
+ * Serializers by MIME type or extension, e.g. { "text/csv": toCsv }
+ */
+export interface Serializers {
+  [type: string]: Serializer;
+}
+
+/**
+ * Handlers by MIME type or extension passed to res.format(); default runs
+ * when the client accepts none of the types
+ */
+export interface FormatHandlers {
+  [type: string]: (() => unknown) | undefined;
+  default?: () => unknown;
+}
+
 /**
  * Response interface for sending HTTP responses
  */
 export interface IResponse {
+  readonly raw: ServerResponse;
+  /** Values scoped to the request, e.g. the CSP nonce for templates */
+  locals: { [key: string]: any };
   status(code: number): IResponse;
+  type(type: string): IResponse;
   json(data: any): void;
-  send(data: string): void;
+  send(data?: ResponseBody): void;
+  sendStatus(code: number): void;
+  redirect(url: string, status?: number): void;
+  sendFile(path: string, options?: SendFileOptions): Promise<void>;
+  download(
+    path: string,
+    filename?: string,
+    options?: SendFileOptions
+  ): Promise<void>;
+  cookie(name: string, value: string, options?: CookieOptions): IResponse;
+  clearCookie(name: string, options?: CookieOptions): IResponse;
   setHeader(key: string, value: string | number | string[]): IResponse;
+  append(key: string, value: string | string[]): IResponse;
+  getHeader(key: string): OutgoingHttpHeader | undefined;
+  format(handlers: FormatHandlers): unknown;
+  sse(options?: SseOptions): IEventStream;
   end(): void;
 }
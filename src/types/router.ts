@@ -1,7 +1,13 @@
-import { RouteHandler, MiddlewareFunction } from "./middleware";
+import { RouteHandler, MiddlewareFunction, ErrorHandler } from "./middleware";
+import { BodyParserOptions } from "./body-parser";
+import { RouteSchema } from "./validation";
+import { HookStore } from "./hooks";
+import { Serializers } from "./response";
 
 /**
  * HTTP methods supported by the router
+ * Any other method token (e.g. "PURGE", "PROPFIND") can be used with app.on(),
+ * and "*" marks routes registered with app.all()
  */
 export type HttpMethod =
   | "GET"
@@ -9,7 +15,32 @@ export type HttpMethod =
   | "PUT"
   | "DELETE"
   | "PATCH"
-  | "OPTIONS";
+  | "HEAD"
+  | "OPTIONS"
+  | "*"
+  | (string & {});
+
+/**
+ * Route group scope shared by every route registered inside a group
+ * Handlers are read at request time, so they apply regardless of registration order
+ */
+export interface RouteGroup {
+  prefix: string;
+  errorHandlers: ErrorHandler[];
+  hooks: HookStore;
+}
+
+/**
+ * Per-route options, passed before the handlers:
+ * app.post(path, { bodyParser: { limit: "10mb" } }, handler)
+ */
+export interface RouteOptions {
+  bodyParser?: BodyParserOptions | false;
+  /** Validate (and coerce) the request before the handlers run */
+  schema?: RouteSchema;
+  /** Serializers res.send() picks from by the Accept header for objects */
+  serializers?: Serializers;
+}
 
 /**
  * Route definition stored in router
@@ -21,6 +52,8 @@ export interface Route {
   paramNames: string[];
   handlers: RouteHandler[];
   middleware: MiddlewareFunction[];
+  groups: RouteGroup[];
+  options: RouteOptions;
 }
 
 /**
@@ -35,6 +68,12 @@ export interface RouteMatch extends Route {
  */
 export interface IRouter {
   routes: Route[];
-  addRoute(method: string, path: string, handlers: RouteHandler[]): void;
+  addRoute(
+    method: string,
+    path: string,
+    handlers: RouteHandler[],
+    options?: RouteOptions
+  ): void;
   match(method: string, path: string): RouteMatch | null;
+  allowedMethods(path: string): string[];
 }
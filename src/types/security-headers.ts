@@ -0,0 +1,110 @@
+import type { IRequest } from "./request.js";
+import type { IResponse } from "./response.js";
+
+/**
+ * Source of a CSP directive computed per request, e.g. from res.locals
+ */
+export type CspSourceFunction = (req: IRequest, res: IResponse) => string;
+
+/**
+ * Value of a CSP directive: sources, true for directives without a value
+ * (upgrade-insecure-requests), or false / null to leave a default out
+ */
+export type CspDirectiveValue =
+  | string
+  | Array<string | CspSourceFunction>
+  | boolean
+  | null;
+
+/**
+ * CSP directives by name, camelCase ("scriptSrc") or as sent ("script-src")
+ */
+export interface CspDirectives {
+  [directive: string]: CspDirectiveValue;
+}
+
+/**
+ * Content-Security-Policy options
+ */
+export interface ContentSecurityPolicyOptions {
+  /** Directives, merged with the defaults unless useDefaults is false */
+  directives?: CspDirectives;
+  /** Start from the default directives (default true) */
+  useDefaults?: boolean;
+  /** Add a per-request nonce (res.locals.cspNonce) to script-src and style-src */
+  nonce?: boolean;
+  /** Send Content-Security-Policy-Report-Only instead (default false) */
+  reportOnly?: boolean;
+}
+
+/**
+ * Strict-Transport-Security options
+ */
+export interface StrictTransportSecurityOptions {
+  /** Seconds browsers only use HTTPS for the host (default 31536000) */
+  maxAge?: number;
+  /** Apply the policy to subdomains too (default true) */
+  includeSubDomains?: boolean;
+  /** Ask to be included in browser preload lists (default false) */
+  preload?: boolean;
+}
+
+/**
+ * Referrer-Policy values
+ */
+export type ReferrerPolicy =
+  | "no-referrer"
+  | "no-referrer-when-downgrade"
+  | "origin"
+  | "origin-when-cross-origin"
+  | "same-origin"
+  | "strict-origin"
+  | "strict-origin-when-cross-origin"
+  | "unsafe-url";
+
+/**
+ * Permissions-Policy allowlists by feature, e.g. { camera: [] } disables the
+ * camera and { geolocation: ["self", "https://maps.example.com"] } allows it
+ * for those origins
+ */
+export interface PermissionsPolicy {
+  [feature: string]: string[];
+}
+
+/**
+ * Options for the securityHeaders() middleware
+ * Every header has a secure default; false leaves it out and removes it if
+ * middleware that ran earlier (e.g. app-wide) already set it
+ */
+export interface SecurityHeadersOptions {
+  /** Content-Security-Policy */
+  contentSecurityPolicy?: ContentSecurityPolicyOptions | false;
+  /** Strict-Transport-Security */
+  strictTransportSecurity?: StrictTransportSecurityOptions | false;
+  /** X-Content-Type-Options: nosniff (default true) */
+  contentTypeOptions?: boolean;
+  /** X-Frame-Options, also used for the default frame-ancestors (default "SAMEORIGIN") */
+  frameOptions?: "DENY" | "SAMEORIGIN" | false;
+  /** Referrer-Policy; several values list fallbacks (default "no-referrer") */
+  referrerPolicy?: ReferrerPolicy | ReferrerPolicy[] | false;
+  /** Cross-Origin-Opener-Policy (default "same-origin") */
+  crossOriginOpenerPolicy?:
+    | "same-origin"
+    | "same-origin-allow-popups"
+    | "unsafe-none"
+    | false;
+  /** Cross-Origin-Resource-Policy (default "same-origin") */
+  crossOriginResourcePolicy?:
+    | "same-origin"
+    | "same-site"
+    | "cross-origin"
+    | false;
+  /** Cross-Origin-Embedder-Policy; off by default since it blocks cross-origin resources without CORP or CORS */
+  crossOriginEmbedderPolicy?:
+    | "require-corp"
+    | "credentialless"
+    | "unsafe-none"
+    | false;
+  /** Permissions-Policy (default: camera, microphone and geolocation disabled) */
+  permissionsPolicy?: PermissionsPolicy | false;
+}
@@ -0,0 +1,22 @@
+import type { Server } from "http";
+import type { Server as HttpsServer } from "https";
+import type { Http2SecureServer, Http2Server } from "http2";
+
+/**
+ * Options for app.listen(options)
+ */
+export interface ListenOptions {
+  /** Port to listen on; 0 picks a free port (default 0) */
+  port?: number;
+  /** Interface to bind to (default: all interfaces) */
+  host?: string;
+  /** Unix socket or Windows named pipe path, used instead of port and host */
+  path?: string;
+  /** Maximum length of the pending connection queue */
+  backlog?: number;
+}
+
+/**
+ * Server created by app.listen(), depending on the https and http2 app options
+ */
+export type AppServer = Server | HttpsServer | Http2Server | Http2SecureServer;
@@ -0,0 +1,64 @@
+import type { CookieOptions } from "./cookie.js";
+
+/**
+ * Data stored in a session
+ */
+export interface SessionData {
+  [key: string]: any;
+}
+
+/**
+ * Session attached to req.session by the session() middleware
+ * Data is read and written as plain properties, e.g. req.session.userId = 42
+ */
+export interface Session extends SessionData {
+  /** Session ID stored in the session cookie */
+  readonly id: string;
+  /** Replace the session with an empty one under a new ID (use after login) */
+  regenerate(): Promise<void>;
+  /** Delete the session from the store and clear the cookie */
+  destroy(): Promise<void>;
+  /** Save the session now instead of when the response is sent */
+  save(): Promise<void>;
+  /** Extend the expiry of the session when the response is sent */
+  touch(): void;
+}
+
+/**
+ * Storage backend for sessions
+ * Implement it to keep sessions in a database or cache shared between processes
+ */
+export interface SessionStore {
+  /** Load session data, or return undefined/null if it does not exist or expired */
+  get(id: string): Promise<SessionData | undefined | null>;
+  /** Save session data for ttl milliseconds */
+  set(id: string, data: SessionData, ttl: number): Promise<void>;
+  /** Delete a session */
+  destroy(id: string): Promise<void>;
+  /** Extend the expiry of an unchanged session (falls back to set) */
+  touch?(id: string, data: SessionData, ttl: number): Promise<void>;
+}
+
+/**
+ * Options for the session() middleware
+ */
+export interface SessionOptions {
+  /** Secret(s) signing the session cookie, newest first */
+  secret: string | string[];
+  /** Cookie name (default "zyra.sid") */
+  name?: string;
+  /** Session store (default: in-memory store) */
+  store?: SessionStore;
+  /** Session lifetime in milliseconds (default 24 hours) */
+  maxAge?: number;
+  /** Restart the lifetime on every response (default false) */
+  rolling?: boolean;
+  /** Save and send a cookie for new sessions without data (default false) */
+  saveUninitialized?: boolean;
+  /** Cookie attributes; "auto" secure sets Secure for TLS requests (default) */
+  cookie?: Omit<CookieOptions, "maxAge" | "expires" | "secure" | "signed"> & {
+    secure?: boolean | "auto";
+  };
+  /** Generate session IDs (default: 32 random bytes, base64url) */
+  genid?: () => string;
+}
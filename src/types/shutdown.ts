@@ -0,0 +1,33 @@
+/**
+ * Options for app.close()
+ */
+export interface CloseOptions {
+  /**
+   * Milliseconds to wait for in-flight requests before the remaining
+   * connections are closed forcibly (default 10000)
+   */
+  timeout?: number;
+}
+
+/**
+ * Graceful shutdown configuration, passed as the shutdown app option
+ */
+export interface ShutdownOptions extends CloseOptions {
+  /**
+   * Close the app when the process receives these signals (true for
+   * SIGTERM and SIGINT); the signal is raised again once the app closed
+   */
+  signals?: boolean | NodeJS.Signals[];
+}
+
+/**
+ * Options for app.health()
+ */
+export interface HealthOptions {
+  /** Path of the liveness endpoint (default "/health/live") */
+  livenessPath?: string;
+  /** Path of the readiness endpoint (default "/health/ready") */
+  readinessPath?: string;
+  /** Extra readiness check, e.g. a database ping; false or a throw means not ready */
+  check?: () => boolean | Promise<boolean>;
+}
@@ -0,0 +1,39 @@
+/**
+ * Server-sent event written by eventStream.send()
+ */
+export interface SseMessage {
+  /** Event type; listeners receive it with addEventListener(event) */
+  event?: string;
+  /** Payload; values other than strings are sent as JSON */
+  data?: unknown;
+  /** Event ID, sent back by reconnecting clients in Last-Event-ID */
+  id?: string | number;
+  /** Milliseconds the client waits before reconnecting */
+  retry?: number;
+}
+
+/**
+ * Options for res.sse()
+ */
+export interface SseOptions {
+  /** Milliseconds between comment heartbeats, or false for none (default 15000) */
+  heartbeat?: number | false;
+  /** Reconnection delay sent to the client when the stream opens */
+  retry?: number;
+}
+
+/**
+ * Event stream returned by res.sse()
+ */
+export interface IEventStream {
+  /** Whether the stream ended, or the client disconnected */
+  readonly closed: boolean;
+  /** Send an event; returns false once closed or while the client lags */
+  send(message: SseMessage | string): boolean;
+  /** Send a comment, ignored by clients; keeps proxies from timing out */
+  comment(text?: string): boolean;
+  /** Call a listener once the stream closes, e.g. to stop pushing events */
+  onClose(listener: () => void): void;
+  /** End the stream */
+  close(): void;
+}
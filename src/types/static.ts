@@ -0,0 +1,44 @@
+import type { Stats } from "fs";
+import type { IResponse } from "./response.js";
+
+/**
+ * Options for res.sendFile(), res.download() and serveStatic()
+ */
+export interface SendFileOptions {
+  /** Directory relative paths are resolved against; paths cannot escape it */
+  root?: string;
+  /** Cache-Control max-age in milliseconds (default 0) */
+  maxAge?: number;
+  /** Add the immutable directive to Cache-Control */
+  immutable?: boolean;
+  /** Full Cache-Control value, or false to omit the header (overrides maxAge) */
+  cacheControl?: string | false;
+  /** Send a weak ETag and answer If-None-Match (default true) */
+  etag?: boolean;
+  /** Send Last-Modified and answer If-Modified-Since (default true) */
+  lastModified?: boolean;
+  /** Answer Range requests with 206 Partial Content (default true) */
+  acceptRanges?: boolean;
+  /** How to treat files and directories starting with a dot (default "ignore") */
+  dotfiles?: "allow" | "deny" | "ignore";
+  /** Serve file.br or file.gz instead of file when the client accepts them (default false) */
+  precompressed?: boolean;
+  /** Extra headers to send with the file */
+  headers?: { [name: string]: string };
+  /** Set custom headers before the file is sent */
+  setHeaders?: (res: IResponse, path: string, stat: Stats) => void;
+}
+
+/**
+ * Options for the serveStatic() middleware
+ */
+export interface StaticOptions extends Omit<SendFileOptions, "root"> {
+  /** File(s) served for directory requests, or false (default "index.html") */
+  index?: string | string[] | false;
+  /** File served for HTML requests that match no file, e.g. "index.html" for single-page apps */
+  fallback?: string;
+  /** Redirect directories to their path with a trailing slash (default true) */
+  redirect?: boolean;
+  /** Pass missing files and other methods than GET/HEAD to the next handler (default true) */
+  fallthrough?: boolean;
+}
@@ -0,0 +1,111 @@
+/**
+ * JSON Schema type names
+ */
+export type SchemaType =
+  | "string"
+  | "number"
+  | "integer"
+  | "boolean"
+  | "object"
+  | "array"
+  | "null";
+
+/**
+ * Subset of JSON Schema understood by the built-in validator
+ * Unknown keywords are ignored, so schemas can carry documentation
+ * (description, example, ...) for OpenAPI
+ */
+export interface JSONSchema {
+  type?: SchemaType | SchemaType[];
+  /** Also allow null (OpenAPI 3.0 style) */
+  nullable?: boolean;
+  enum?: any[];
+  const?: any;
+  /** Value used when the property is missing */
+  default?: any;
+  // Strings
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  /** "email", "uri", "uuid", "date", "date-time", "time", "ipv4" or "ipv6" */
+  format?: string;
+  // Numbers
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
+  // Arrays
+  items?: JSONSchema;
+  minItems?: number;
+  maxItems?: number;
+  uniqueItems?: boolean;
+  // Objects
+  properties?: { [name: string]: JSONSchema };
+  required?: string[];
+  additionalProperties?: boolean | JSONSchema;
+  minProperties?: number;
+  maxProperties?: number;
+  // Combinators
+  allOf?: JSONSchema[];
+  anyOf?: JSONSchema[];
+  oneOf?: JSONSchema[];
+  not?: JSONSchema;
+  [keyword: string]: any;
+}
+
+/**
+ * Schemas for the parts of a request, passed in route options:
+ * app.post(path, { schema: { body, query, params, headers } }, handler)
+ * The remaining fields only document the route in the OpenAPI document
+ */
+export interface RouteSchema {
+  body?: JSONSchema;
+  query?: JSONSchema;
+  params?: JSONSchema;
+  /** Header names must be lower-case */
+  headers?: JSONSchema;
+  /** Response body schemas by status code, with a description each */
+  response?: { [status: string]: JSONSchema };
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  operationId?: string;
+  deprecated?: boolean;
+  /** Leave the route out of the OpenAPI document */
+  hide?: boolean;
+}
+
+/**
+ * A single validation failure
+ */
+export interface ValidationIssue {
+  /** "body", "query", "params" or "headers" (empty for validate()) */
+  location: string;
+  /** JSON Pointer to the invalid value, e.g. "/items/0/name" */
+  path: string;
+  /** Human-readable description */
+  message: string;
+  /** Schema keyword that failed, e.g. "required" or "minLength" */
+  keyword: string;
+}
+
+/**
+ * Result of validate()
+ */
+export interface ValidationResult<T = any> {
+  valid: boolean;
+  /** Value with defaults applied and strings coerced (when enabled) */
+  value: T;
+  errors: ValidationIssue[];
+}
+
+/**
+ * Options for validate()
+ */
+export interface ValidateOptions {
+  /** Convert strings to the schema's number, integer, boolean or null type */
+  coerce?: boolean;
+  /** Location reported in issues */
+  location?: string;
+}
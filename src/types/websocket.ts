@@ -0,0 +1,68 @@
+import type { EventEmitter } from "events";
+import type { IRequest } from "./request.js";
+
+/**
+ * Message payload: text messages are strings, binary messages Buffers
+ */
+export type WebSocketData = string | Buffer;
+
+/**
+ * Options of a WebSocket route
+ */
+export interface WebSocketOptions {
+  /** Largest message in bytes, or as "64kb", "1mb"... (default "1mb") */
+  maxPayload?: number | string;
+  /** Subprotocols the route speaks, preferred first */
+  protocols?: string[];
+}
+
+/**
+ * WebSocket connection (RFC 6455)
+ * Events: "message" (data, isBinary), "close" (code, reason), "ping" and
+ * "pong" (payload), "drain" once buffered data was sent, and "error" for
+ * protocol and connection errors (only emitted when a listener is attached)
+ */
+export interface IWebSocket extends EventEmitter {
+  /** 1 (OPEN), 2 (CLOSING) or 3 (CLOSED) */
+  readonly readyState: number;
+  /** Selected subprotocol, or "" */
+  readonly protocol: string;
+  /** Bytes queued for sending that the client has not received yet */
+  readonly bufferedAmount: number;
+  /** Send a message; returns false when queued, or once closing */
+  send(
+    data: string | Buffer | Uint8Array,
+    callback?: (error?: Error) => void
+  ): boolean;
+  ping(data?: string | Buffer): void;
+  pong(data?: string | Buffer): void;
+  /** Start the closing handshake (default code 1000) */
+  close(code?: number, reason?: string): void;
+  /** Destroy the connection without a closing handshake */
+  terminate(): void;
+  on(
+    event: "message",
+    listener: (data: WebSocketData, isBinary: boolean) => void
+  ): this;
+  on(event: "close", listener: (code: number, reason: string) => void): this;
+  on(event: "ping" | "pong", listener: (data: Buffer) => void): this;
+  on(event: "drain", listener: () => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Handler of a WebSocket route, called once the handshake completed
+ */
+export type WebSocketHandler = (
+  socket: IWebSocket,
+  req: IRequest
+) => void | Promise<void>;
+
+/**
+ * Arguments accepted after the path by app.ws(): the handler, optionally
+ * preceded by WebSocket options
+ */
+export type WebSocketRouteArgs =
+  | [WebSocketHandler]
+  | [WebSocketOptions, WebSocketHandler];
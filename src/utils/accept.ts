@@ -0,0 +1,190 @@
+/**
+ * Value of an Accept-style header with its quality
+ */
+export interface QualityValue {
+  value: string;
+  q: number;
+}
+
+/**
+ * Parse an Accept-style header ("gzip;q=0.8, br") into its values
+ * Values are lower-cased and keep the order of the header; a missing or
+ * invalid q parameter counts as 1
+ * @param header - Header value
+ * @returns Values with their quality
+ */
+export function parseQualityList(header: string): QualityValue[] {
+  const values: QualityValue[] = [];
+
+  for (const part of header.split(",")) {
+    const [value, ...params] = part.split(";");
+    const name = value.trim().toLowerCase();
+    if (name === "") {
+      continue;
+    }
+
+    let q = 1;
+    for (const param of params) {
+      const match = /^\s*q\s*=\s*([\d.]+)\s*$/i.exec(param);
+      if (match) {
+        const parsed = parseFloat(match[1]);
+        q = Number.isNaN(parsed) ? 1 : Math.min(Math.max(parsed, 0), 1);
+      }
+    }
+
+    values.push({ value: name, q });
+  }
+
+  return values;
+}
+
+/**
+ * Pick the content coding to use for a response
+ * The client's highest quality wins; ties go to the server's order
+ * @param header - Accept-Encoding header value, if any
+ * @param available - Codings the server can apply, preferred first
+ * @returns Chosen coding, or undefined to send the body unencoded
+ */
+export function negotiateEncoding(
+  header: string | undefined,
+  available: string[]
+): string | undefined {
+  if (!header) {
+    return undefined;
+  }
+
+  const accepted = parseQualityList(header);
+  const wildcard = accepted.find((entry) => entry.value === "*");
+
+  let best: string | undefined;
+  let bestQuality = 0;
+  for (const encoding of available) {
+    const entry =
+      accepted.find((candidate) => candidate.value === encoding) || wildcard;
+    if (entry && entry.q > bestQuality) {
+      best = encoding;
+      bestQuality = entry.q;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Match a value against an Accept-style range
+ * @returns Specificity of the match (higher is more specific), or -1
+ */
+type Matcher = (range: string, value: string) => number;
+
+/**
+ * Sort the values a client accepts by preference
+ * Each value takes the quality of the most specific range matching it;
+ * values are ordered by quality, then specificity, then the order of the
+ * header, then the order they were given in
+ * @param header - Header value; a missing header accepts everything
+ * @param available - Values the server can provide
+ * @param match - Range matcher
+ * @returns Acceptable values, preferred first
+ */
+function rank(
+  header: string | undefined,
+  available: string[],
+  match: Matcher
+): string[] {
+  const ranges = parseQualityList(header?.trim() ? header : "*");
+
+  const ranked = available.map((value, index) => {
+    let best = { q: 0, specificity: -1, order: 0 };
+    ranges.forEach((range, order) => {
+      const specificity = match(range.value, value.toLowerCase());
+      if (specificity > best.specificity) {
+        best = { q: range.q, specificity, order };
+      }
+    });
+    return { value, index, ...best };
+  });
+
+  return ranked
+    .filter((entry) => entry.specificity >= 0 && entry.q > 0)
+    .sort(
+      (a, b) =>
+        b.q - a.q ||
+        b.specificity - a.specificity ||
+        a.order - b.order ||
+        a.index - b.index
+    )
+    .map((entry) => entry.value);
+}
+
+/**
+ * List the values of an Accept-style header by preference, without q=0
+ * @param header - Header value
+ * @returns Accepted values, preferred first
+ */
+export function acceptedValues(header: string | undefined): string[] {
+  return parseQualityList(header || "")
+    .filter((entry) => entry.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map((entry) => entry.value);
+}
+
+/**
+ * Sort media types by the preference of an Accept header
+ * @param header - Accept header value
+ * @param available - Media types such as "text/csv"
+ * @returns Acceptable media types, preferred first
+ */
+export function preferredMediaTypes(
+  header: string | undefined,
+  available: string[]
+): string[] {
+  return rank(header, available, (range, type) => {
+    if (range === type) {
+      return 2;
+    }
+    if (range.endsWith("/*") && type.startsWith(range.slice(0, -1))) {
+      return range === "*/*" ? 0 : 1;
+    }
+    return range === "*" ? 0 : -1;
+  });
+}
+
+/**
+ * Sort language tags by the preference of an Accept-Language header
+ * A range matches the tags it is a prefix of: "en" matches "en-GB"
+ * @param header - Accept-Language header value
+ * @param available - Language tags such as "en" or "fr-CA"
+ * @returns Acceptable tags, preferred first
+ */
+export function preferredLanguages(
+  header: string | undefined,
+  available: string[]
+): string[] {
+  return rank(header, available, (range, tag) => {
+    if (range === tag) {
+      return 2;
+    }
+    if (tag.startsWith(range + "-")) {
+      return 1;
+    }
+    return range === "*" ? 0 : -1;
+  });
+}
+
+/**
+ * Sort charsets by the preference of an Accept-Charset header
+ * @param header - Accept-Charset header value
+ * @param available - Charsets such as "utf-8"
+ * @returns Acceptable charsets, preferred first
+ */
+export function preferredCharsets(
+  header: string | undefined,
+  available: string[]
+): string[] {
+  return rank(header, available, (range, charset) => {
+    if (range === charset) {
+      return 1;
+    }
+    return range === "*" ? 0 : -1;
+  });
+}
@@ -0,0 +1,26 @@
+const UNITS: { [unit: string]: number } = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Convert a byte size to a number of bytes
+ * @param value - Number of bytes, or a string such as "100kb" or "1.5mb"
+ * @returns Number of bytes
+ * @throws {TypeError} If the value cannot be parsed
+ */
+export function parseBytes(value: number | string): number {
+  if (typeof value === "number") {
+    return value;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value);
+  if (!match) {
+    throw new TypeError(`Invalid byte size: "${value}"`);
+  }
+
+  const unit = (match[2] || "b").toLowerCase();
+  return Math.floor(parseFloat(match[1]) * UNITS[unit]);
+}
@@ -0,0 +1,67 @@
+/**
+ * Parsed media type from a Content-Type style header
+ */
+export interface MediaType {
+  type: string;
+  parameters: { [name: string]: string };
+}
+
+/**
+ * Parse a Content-Type header into its media type and parameters
+ * @param header - Header value such as "text/plain; charset=utf-8"
+ * @returns Lower-cased media type and parameters (parameter names lower-cased)
+ */
+export function parseContentType(header: string): MediaType {
+  const index = header.indexOf(";");
+  const type = index === -1 ? header : header.slice(0, index);
+  const parameters: { [name: string]: string } = {};
+
+  // name=value pairs, where value may be a quoted string containing ";"
+  const paramPattern = /;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match: RegExpExecArray | null;
+  while ((match = paramPattern.exec(header)) !== null) {
+    let value = match[2].trim();
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, "$1");
+    }
+    parameters[match[1].toLowerCase()] = value;
+  }
+
+  return { type: type.trim().toLowerCase(), parameters };
+}
+
+/**
+ * Check whether a media type matches a pattern
+ * Patterns can be exact ("application/json"), wildcards ("text/*", "*\/*")
+ * or structured-syntax suffixes ("application/*+json")
+ * @param type - Lower-cased media type to test
+ * @param pattern - Pattern to match against
+ * @returns True if the type matches the pattern
+ */
+export function matchesType(type: string, pattern: string): boolean {
+  const normalized = pattern.trim().toLowerCase();
+  if (normalized === "*/*" || normalized === type) {
+    return true;
+  }
+
+  const [patternMain, patternSub] = normalized.split("/");
+  const [typeMain, typeSub] = type.split("/");
+  if (!patternSub || !typeSub) {
+    return false;
+  }
+
+  if (patternMain !== "*" && patternMain !== typeMain) {
+    return false;
+  }
+
+  if (patternSub === "*") {
+    return true;
+  }
+
+  // Suffix match: "*+json" matches "vnd.api+json"
+  if (patternSub.startsWith("*+")) {
+    return typeSub.endsWith(patternSub.slice(1));
+  }
+
+  return patternSub === typeSub;
+}
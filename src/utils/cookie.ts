@@ -0,0 +1,198 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import type { CookieOptions } from "../types/cookie.js";
+
+// RFC 6265 cookie-name (token) and cookie-value characters
+const NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const VALUE_PATTERN = /^[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]*$/;
+// Characters allowed in Domain and Path attributes
+const ATTRIBUTE_PATTERN = /^[\x20-\x3A\x3C-\x7E]+$/;
+
+/**
+ * Serialize a cookie into a Set-Cookie header value
+ * @param name - Cookie name
+ * @param value - Cookie value
+ * @param options - Cookie attributes
+ * @returns Set-Cookie header value
+ * @throws {TypeError} If the name, value or an attribute is invalid
+ */
+export function serializeCookie(
+  name: string,
+  value: string,
+  options: CookieOptions = {}
+): string {
+  if (!NAME_PATTERN.test(name)) {
+    throw new TypeError(`Invalid cookie name: "${name}"`);
+  }
+
+  const encoded = (options.encode || encodeURIComponent)(value);
+  if (!VALUE_PATTERN.test(encoded)) {
+    throw new TypeError(`Invalid cookie value for "${name}"`);
+  }
+
+  const parts = [`${name}=${encoded}`];
+
+  if (options.maxAge !== undefined) {
+    if (!Number.isFinite(options.maxAge)) {
+      throw new TypeError("Cookie maxAge must be a finite number");
+    }
+    parts.push(`Max-Age=${Math.floor(options.maxAge / 1000)}`);
+  }
+
+  const expires =
+    options.expires ||
+    (options.maxAge !== undefined
+      ? new Date(Date.now() + options.maxAge)
+      : undefined);
+  if (expires) {
+    parts.push(`Expires=${expires.toUTCString()}`);
+  }
+
+  if (options.domain !== undefined) {
+    if (!ATTRIBUTE_PATTERN.test(options.domain)) {
+      throw new TypeError(`Invalid cookie domain: "${options.domain}"`);
+    }
+    parts.push(`Domain=${options.domain}`);
+  }
+
+  const path = options.path ?? "/";
+  if (!ATTRIBUTE_PATTERN.test(path)) {
+    throw new TypeError(`Invalid cookie path: "${path}"`);
+  }
+  parts.push(`Path=${path}`);
+
+  if (options.httpOnly) {
+    parts.push("HttpOnly");
+  }
+
+  if (options.secure) {
+    parts.push("Secure");
+  }
+
+  if (options.sameSite) {
+    const sameSite =
+      options.sameSite === true ? "strict" : options.sameSite.toLowerCase();
+    if (sameSite !== "strict" && sameSite !== "lax" && sameSite !== "none") {
+      throw new TypeError(`Invalid cookie sameSite: "${options.sameSite}"`);
+    }
+    parts.push(`SameSite=${sameSite[0].toUpperCase()}${sameSite.slice(1)}`);
+  }
+
+  if (options.partitioned) {
+    parts.push("Partitioned");
+  }
+
+  return parts.join("; ");
+}
+
+/**
+ * Parse a Cookie request header
+ * The first occurrence of a name wins; values are URL-decoded when possible
+ * @param header - Cookie header value
+ * @returns Cookie values by name
+ */
+export function parseCookies(header: string | undefined): {
+  [name: string]: string;
+} {
+  const cookies: { [name: string]: string } = {};
+  if (!header) {
+    return cookies;
+  }
+
+  for (const pair of header.split(";")) {
+    const index = pair.indexOf("=");
+    if (index === -1) {
+      continue;
+    }
+
+    const name = pair.slice(0, index).trim();
+    if (name === "" || name in cookies) {
+      continue;
+    }
+
+    let value = pair.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1);
+    }
+
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Sign a cookie value with an HMAC-SHA256 signature
+ * @param value - Cookie value
+ * @param secret - Signing secret
+ * @returns Signed value in the form "s:<value>.<signature>"
+ */
+export function signCookie(value: string, secret: string): string {
+  return `s:${value}.${signature(value, secret)}`;
+}
+
+/**
+ * Verify a signed cookie value
+ * Every secret is tried, so secrets can be rotated by prepending a new one
+ * @param signed - Value in the form "s:<value>.<signature>"
+ * @param secrets - Accepted secrets
+ * @returns The original value, or false if the signature is invalid
+ */
+export function unsignCookie(
+  signed: string,
+  secrets: string[]
+): string | false {
+  if (!signed.startsWith("s:")) {
+    return false;
+  }
+
+  const dot = signed.lastIndexOf(".");
+  if (dot === -1) {
+    return false;
+  }
+
+  const value = signed.slice(2, dot);
+  const given = Buffer.from(signed.slice(dot + 1));
+
+  const valid = secrets.some((secret) => {
+    const expected = Buffer.from(signature(value, secret));
+    return (
+      expected.length === given.length && timingSafeEqual(expected, given)
+    );
+  });
+
+  return valid ? value : false;
+}
+
+/**
+ * Normalize a secret option into a list of secrets
+ * @param secret - Secret or secrets, newest first
+ * @returns List of secrets (empty if none are configured)
+ * @throws {TypeError} If a secret is empty
+ */
+export function normalizeSecrets(
+  secret: string | string[] | undefined
+): string[] {
+  const secrets =
+    secret === undefined ? [] : Array.isArray(secret) ? secret : [secret];
+  if (secrets.some((value) => typeof value !== "string" || value === "")) {
+    throw new TypeError("Cookie secrets must be non-empty strings");
+  }
+  return secrets;
+}
+
+/**
+ * Compute the signature of a cookie value
+ * @param value - Cookie value
+ * @param secret - Signing secret
+ * @returns Base64 signature without padding
+ */
+function signature(value: string, secret: string): string {
+  return createHmac("sha256", secret)
+    .update(value)
+    .digest("base64")
+    .replace(/=+$/, "");
+}
@@ -0,0 +1,15 @@
+import { createHash } from "crypto";
+
+/**
+ * Generate an entity tag for a response body
+ * The tag combines the body length with a SHA-1 digest of its bytes
+ * @param body - Response body
+ * @param weak - Prefix the tag with W/ (default true)
+ * @returns Quoted entity tag, e.g. 'W/"d-Kq5sNclPz7QV2+lfQIuc6R7oRu0"'
+ */
+export function generateEtag(body: string | Buffer, weak = true): string {
+  const length = Buffer.byteLength(body).toString(16);
+  const digest = createHash("sha1").update(body).digest("base64");
+  const tag = `"${length}-${digest.slice(0, 27)}"`;
+  return weak ? `W/${tag}` : tag;
+}
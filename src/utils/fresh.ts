@@ -0,0 +1,118 @@
+import { IncomingHttpHeaders } from "http";
+import type { Validators } from "../types/request.js";
+
+/**
+ * Check whether the client's cached copy is still fresh (the response can be a 304)
+ * If-None-Match takes precedence over If-Modified-Since, as in RFC 9110
+ * @param headers - Request headers
+ * @param validators - ETag and Last-Modified of the response
+ * @returns True if the cached copy matches the response
+ */
+export function isFresh(
+  headers: IncomingHttpHeaders,
+  validators: Validators
+): boolean {
+  const noneMatch = headers["if-none-match"];
+  const modifiedSince = headers["if-modified-since"];
+
+  if (!noneMatch && !modifiedSince) {
+    return false;
+  }
+
+  // End-to-end reload requests always get a full response
+  if (/(?:^|,)\s*no-cache\s*(?:,|$)/.test(headers["cache-control"] || "")) {
+    return false;
+  }
+
+  if (noneMatch) {
+    return (
+      noneMatch.trim() === "*" ||
+      etagListMatches(noneMatch, validators.etag, true)
+    );
+  }
+
+  if (!validators.lastModified) {
+    return false;
+  }
+
+  const lastModified = new Date(validators.lastModified).getTime();
+  const since = Date.parse(modifiedSince as string);
+  return (
+    !Number.isNaN(since) &&
+    !Number.isNaN(lastModified) &&
+    lastModified <= since
+  );
+}
+
+/**
+ * Check whether the preconditions of a request fail for the current state
+ * of the target resource (the response must be a 412)
+ * If-Match takes precedence over If-Unmodified-Since, as in RFC 9110; If-Match
+ * uses strong comparison, so weak entity tags never satisfy it
+ * @param headers - Request headers
+ * @param validators - ETag and Last-Modified of the current resource, which
+ * must exist
+ * @returns True if If-Match or If-Unmodified-Since is not satisfied
+ */
+export function preconditionFailed(
+  headers: IncomingHttpHeaders,
+  validators: Validators
+): boolean {
+  const match = headers["if-match"];
+  if (match) {
+    // "*" only requires the resource to exist
+    return (
+      match.trim() !== "*" && !etagListMatches(match, validators.etag, false)
+    );
+  }
+
+  const unmodifiedSince = headers["if-unmodified-since"];
+  if (!unmodifiedSince) {
+    return false;
+  }
+
+  // An invalid date is ignored; a resource without a date cannot be checked
+  const since = Date.parse(unmodifiedSince);
+  if (Number.isNaN(since)) {
+    return false;
+  }
+  if (!validators.lastModified) {
+    return true;
+  }
+
+  const lastModified = new Date(validators.lastModified).getTime();
+  return Number.isNaN(lastModified) || lastModified > since;
+}
+
+/**
+ * Check whether an entity tag is in a comma-separated list of entity tags
+ * @param list - Header value, e.g. 'W/"abc", "def"'
+ * @param etag - Entity tag of the response
+ * @param weak - Use weak comparison (ignore W/ prefixes)
+ * @returns True if the list contains the tag
+ */
+export function etagListMatches(
+  list: string,
+  etag: string | undefined,
+  weak: boolean
+): boolean {
+  if (!etag) {
+    return false;
+  }
+
+  const normalize = (tag: string): string =>
+    weak ? tag.trim().replace(/^W\//, "") : tag.trim();
+
+  // Strong comparison never matches weak tags
+  if (!weak && etag.startsWith("W/")) {
+    return false;
+  }
+
+  return list.split(",").some((tag) => {
+    const candidate = tag.trim();
+    if (!weak && candidate.startsWith("W/")) {
+      return false;
+    }
+    return normalize(candidate) === normalize(etag);
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * MIME types by file extension
+ */
+const MIME_TYPES: { [extension: string]: string } = {
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  mjs: "text/javascript",
+  cjs: "text/javascript",
+  json: "application/json",
+  map: "application/json",
+  webmanifest: "application/manifest+json",
+  txt: "text/plain",
+  text: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  xml: "application/xml",
+  svg: "image/svg+xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  ico: "image/x-icon",
+  bmp: "image/bmp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+  otf: "font/otf",
+  eot: "application/vnd.ms-fontobject",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  gz: "application/gzip",
+  tar: "application/x-tar",
+  wasm: "application/wasm",
+  bin: "application/octet-stream",
+  form: "application/x-www-form-urlencoded",
+  multipart: "multipart/form-data",
+};
+
+/**
+ * Look up the MIME type of a file extension or path
+ * @param extension - Extension with or without the dot, or a file path (e.g. "json", ".css", "app.js")
+ * @returns MIME type, or undefined if the extension is unknown
+ */
+export function lookupMimeType(extension: string): string | undefined {
+  const name = extension.toLowerCase();
+  const dot = name.lastIndexOf(".");
+  return MIME_TYPES[dot === -1 ? name : name.slice(dot + 1)];
+}
+
+/**
+ * Resolve a MIME type or an extension to a lower-cased MIME type
+ * @param type - MIME type (e.g. "text/csv", parameters are dropped) or
+ * extension (e.g. "csv")
+ * @returns MIME type, or undefined for an unknown extension
+ */
+export function mimeType(type: string): string | undefined {
+  if (!type.includes("/")) {
+    return lookupMimeType(type);
+  }
+  return type.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Build a Content-Type header value, adding a UTF-8 charset to textual types
+ * @param type - MIME type (e.g. "text/html") or extension (e.g. "html", ".css")
+ * @returns Content-Type value, e.g. "text/html; charset=utf-8"
+ */
+export function contentType(type: string): string {
+  const mimeType = type.includes("/")
+    ? type
+    : lookupMimeType(type) || "application/octet-stream";
+
+  if (mimeType.includes(";")) {
+    return mimeType;
+  }
+
+  const textual =
+    mimeType.startsWith("text/") ||
+    mimeType === "application/javascript" ||
+    mimeType === "application/json" ||
+    mimeType.endsWith("+json") ||
+    mimeType.endsWith("+xml") ||
+    mimeType === "application/xml";
+
+  return textual ? `${mimeType}; charset=utf-8` : mimeType;
+}
@@ -0,0 +1,29 @@
+import { QueryParams } from "../types/request";
+
+/**
+ * Convert URLSearchParams into a plain object
+ * Repeated keys are collected into arrays; the object has no prototype, like
+ * the result of querystring.parse()
+ * @param searchParams - Parsed search parameters
+ * @returns Object mapping keys to a value or array of values
+ */
+export function searchParamsToObject(searchParams: URLSearchParams): QueryParams {
+  // Keys such as "toString" or "__proto__" must not hit Object.prototype
+  const result: QueryParams = Object.create(null);
+
+  searchParams.forEach((value, key) => {
+    const existingValue = result[key];
+    if (existingValue !== undefined) {
+      // Handle multiple values for the same key
+      if (Array.isArray(existingValue)) {
+        existingValue.push(value);
+      } else {
+        result[key] = [existingValue, value];
+      }
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
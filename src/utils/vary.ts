@@ -0,0 +1,18 @@
+import type { IResponse } from "../types/response.js";
+
+/**
+ * Add a request header to the Vary header of a response, once
+ * @param res - Response object
+ * @param field - Request header the response depends on, e.g. "Accept"
+ */
+export function vary(res: IResponse, field: string): void {
+  const current = res.getHeader("Vary");
+  const fields = String(current ?? "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase());
+
+  if (fields.includes("*") || fields.includes(field.toLowerCase())) {
+    return;
+  }
+  res.append("Vary", field);
+}
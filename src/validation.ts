@@ -0,0 +1,554 @@
+import { isIP } from "net";
+import { BadRequest } from "./errors";
+import { matchesType, parseContentType } from "./utils/content-type";
+import type { IRequest } from "./types/request.js";
+import type {
+  JSONSchema,
+  RouteSchema,
+  SchemaType,
+  ValidateOptions,
+  ValidationIssue,
+  ValidationResult,
+} from "./types/validation.js";
+
+/**
+ * UUID in its 8-4-4-4-12 hexadecimal form
+ */
+const UUID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Checks for the supported string formats
+ */
+const FORMATS: { [format: string]: (value: string) => boolean } = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-z][a-z\d+.-]*:[^\s]*$/i.test(value),
+  uuid: (value) => UUID.test(value),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value),
+  "date-time": (value) => {
+    const [date, time] = value.split(/[Tt ]/);
+    return (
+      time !== undefined &&
+      FORMATS.date(date) &&
+      FORMATS.time(time) &&
+      /(?:[Zz]|[+-]\d{2}:\d{2})$/.test(time)
+    );
+  },
+  time: (value) =>
+    /^\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?$/.test(value),
+  ipv4: (value) => isIP(value) === 4,
+  ipv6: (value) => isIP(value) === 6,
+};
+
+/**
+ * Content types whose bodies only contain strings, coerced like query strings
+ */
+const FORM_TYPES = ["application/x-www-form-urlencoded", "multipart/form-data"];
+
+/**
+ * Validate a value against a JSON Schema
+ * Usage: const { valid, value, errors } = validate(schema, input)
+ * @param schema - JSON Schema (subset)
+ * @param value - Value to validate
+ * @param options - Coercion and issue location
+ * @returns Whether the value is valid, the value with defaults and coercion
+ * applied, and every issue found
+ */
+export function validate<T = any>(
+  schema: JSONSchema,
+  value: unknown,
+  options: ValidateOptions = {}
+): ValidationResult<T> {
+  const errors: ValidationIssue[] = [];
+  const result = check(schema, value, "", {
+    coerce: options.coerce === true,
+    location: options.location || "",
+    errors,
+  });
+
+  return { valid: errors.length === 0, value: result as T, errors };
+}
+
+/**
+ * Validate the parts of a request against a route schema
+ * Coerced values replace req.params, req.query and req.body; header values
+ * are checked but req.headers is left unchanged
+ * @param req - Request object
+ * @param schema - Route schema
+ * @throws {BadRequest} Listing every issue in error.details if validation fails
+ */
+export function validateRequest(req: IRequest, schema: RouteSchema): void {
+  const errors: ValidationIssue[] = [];
+
+  const run = (
+    location: string,
+    partSchema: JSONSchema,
+    value: unknown,
+    coerce: boolean
+  ) => check(partSchema, value, "", { coerce, location, errors });
+
+  if (schema.params) {
+    req.params = run("params", schema.params, req.params, true);
+  }
+
+  if (schema.query) {
+    req.query = run("query", schema.query, req.query, true);
+  }
+
+  if (schema.headers) {
+    run("headers", schema.headers, req.headers, true);
+  }
+
+  if (schema.body) {
+    const { type } = parseContentType(
+      req.headers["content-type"] || "application/octet-stream"
+    );
+    const isForm = FORM_TYPES.some((formType) => matchesType(type, formType));
+    const body = run("body", schema.body, req.body ?? undefined, isForm);
+    if (body !== undefined) {
+      req.body = body;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new BadRequest("Request validation failed", { details: errors });
+  }
+}
+
+/**
+ * State shared while walking a value
+ */
+interface CheckContext {
+  coerce: boolean;
+  location: string;
+  errors: ValidationIssue[];
+}
+
+/**
+ * Check a value against a schema, collecting issues
+ * @param schema - Schema to check against
+ * @param input - Value to check (undefined means missing)
+ * @param path - JSON Pointer of the value
+ * @param context - Shared validation state
+ * @returns The value with defaults and coercion applied
+ */
+function check(
+  schema: JSONSchema,
+  input: unknown,
+  path: string,
+  context: CheckContext
+): any {
+  const fail = (keyword: string, message: string): void => {
+    context.errors.push({ location: context.location, path, message, keyword });
+  };
+
+  if (input === undefined) {
+    if (schema.default !== undefined) {
+      return clone(schema.default);
+    }
+    // A missing request part (e.g. no body) is checked as an empty object
+    if (path === "" && context.location !== "") {
+      if (schema.type === "object" || schema.properties || schema.required) {
+        input = {};
+      } else {
+        fail("required", "is required");
+        return input;
+      }
+    } else {
+      return input;
+    }
+  }
+
+  const types = schemaTypes(schema);
+  let value = context.coerce ? coerce(input, types) : input;
+
+  if (types.length > 0 && !types.some((type) => hasType(value, type))) {
+    fail("type", `must be ${types.join(" or ")}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.some((option) => deepEqual(option, value))) {
+    const options = schema.enum.map((option) => JSON.stringify(option));
+    fail("enum", `must be one of ${options.join(", ")}`);
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail("const", `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    checkString(schema, value, fail);
+  } else if (typeof value === "number") {
+    checkNumber(schema, value, fail);
+  } else if (Array.isArray(value)) {
+    value = checkArray(schema, value, path, context, fail);
+  } else if (isPlainObject(value)) {
+    value = checkObject(schema, value, path, context, fail);
+  }
+
+  return checkCombinators(schema, value, path, context, fail);
+}
+
+/**
+ * Check string keywords
+ */
+function checkString(
+  schema: JSONSchema,
+  value: string,
+  fail: (keyword: string, message: string) => void
+): void {
+  const length = Array.from(value).length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    fail("minLength", `must have at least ${schema.minLength} characters`);
+  }
+
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    fail("maxLength", `must have at most ${schema.maxLength} characters`);
+  }
+
+  if (
+    schema.pattern !== undefined &&
+    !new RegExp(schema.pattern, "u").test(value)
+  ) {
+    fail("pattern", `must match pattern "${schema.pattern}"`);
+  }
+
+  if (schema.format !== undefined) {
+    const test = FORMATS[schema.format];
+    if (test && !test(value)) {
+      fail("format", `must be a valid ${schema.format}`);
+    }
+  }
+}
+
+/**
+ * Check number keywords
+ */
+function checkNumber(
+  schema: JSONSchema,
+  value: number,
+  fail: (keyword: string, message: string) => void
+): void {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail("minimum", `must be >= ${schema.minimum}`);
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail("maximum", `must be <= ${schema.maximum}`);
+  }
+
+  if (
+    schema.exclusiveMinimum !== undefined &&
+    value <= schema.exclusiveMinimum
+  ) {
+    fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+  }
+
+  if (
+    schema.exclusiveMaximum !== undefined &&
+    value >= schema.exclusiveMaximum
+  ) {
+    fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      fail("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+}
+
+/**
+ * Check array keywords and items
+ * @returns Array with item defaults and coercion applied
+ */
+function checkArray(
+  schema: JSONSchema,
+  value: unknown[],
+  path: string,
+  context: CheckContext,
+  fail: (keyword: string, message: string) => void
+): unknown[] {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail("minItems", `must have at least ${schema.minItems} items`);
+  }
+
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    fail("maxItems", `must have at most ${schema.maxItems} items`);
+  }
+
+  const items = schema.items
+    ? value.map((item, index) =>
+        check(schema.items!, item, `${path}/${index}`, context)
+      )
+    : value;
+
+  if (schema.uniqueItems) {
+    const duplicate = items.findIndex((item, index) =>
+      items.slice(0, index).some((other) => deepEqual(item, other))
+    );
+    if (duplicate !== -1) {
+      fail("uniqueItems", `must not contain duplicates (item ${duplicate})`);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Check object keywords and properties
+ * @returns Object with property defaults and coercion applied
+ */
+function checkObject(
+  schema: JSONSchema,
+  value: { [key: string]: unknown },
+  path: string,
+  context: CheckContext,
+  fail: (keyword: string, message: string) => void
+): { [key: string]: unknown } {
+  const result: { [key: string]: unknown } = { ...value };
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined && properties[name]?.default === undefined) {
+      context.errors.push({
+        location: context.location,
+        path: `${path}/${escapePointer(name)}`,
+        message: "is required",
+        keyword: "required",
+      });
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    const checked = check(
+      propertySchema,
+      value[name],
+      `${path}/${escapePointer(name)}`,
+      context
+    );
+    if (checked !== undefined) {
+      result[name] = checked;
+    }
+  }
+
+  const extra = Object.keys(value).filter((name) => !(name in properties));
+
+  if (schema.additionalProperties === false) {
+    for (const name of extra) {
+      context.errors.push({
+        location: context.location,
+        path: `${path}/${escapePointer(name)}`,
+        message: "is not allowed",
+        keyword: "additionalProperties",
+      });
+    }
+  } else if (isPlainObject(schema.additionalProperties)) {
+    for (const name of extra) {
+      result[name] = check(
+        schema.additionalProperties as JSONSchema,
+        value[name],
+        `${path}/${escapePointer(name)}`,
+        context
+      );
+    }
+  }
+
+  const count = Object.keys(value).length;
+  if (schema.minProperties !== undefined && count < schema.minProperties) {
+    fail(
+      "minProperties",
+      `must have at least ${schema.minProperties} properties`
+    );
+  }
+
+  if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+    fail(
+      "maxProperties",
+      `must have at most ${schema.maxProperties} properties`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Check allOf, anyOf, oneOf and not
+ * @returns Value with the coercion of the matching subschemas applied
+ */
+function checkCombinators(
+  schema: JSONSchema,
+  value: unknown,
+  path: string,
+  context: CheckContext,
+  fail: (keyword: string, message: string) => void
+): unknown {
+  let result = value;
+
+  for (const subschema of schema.allOf || []) {
+    result = check(subschema, result, path, context);
+  }
+
+  // Subschemas are tried in isolation so failed alternatives add no issues
+  const attempt = (subschema: JSONSchema) => {
+    const errors: ValidationIssue[] = [];
+    const checked = check(subschema, result, path, { ...context, errors });
+    return { valid: errors.length === 0, value: checked };
+  };
+
+  if (schema.anyOf) {
+    const match = schema.anyOf.map(attempt).find((outcome) => outcome.valid);
+    if (match) {
+      result = match.value;
+    } else {
+      fail("anyOf", "must match at least one allowed schema");
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf
+      .map(attempt)
+      .filter((outcome) => outcome.valid);
+    if (matches.length === 1) {
+      result = matches[0].value;
+    } else {
+      fail("oneOf", "must match exactly one allowed schema");
+    }
+  }
+
+  if (schema.not && attempt(schema.not).valid) {
+    fail("not", "must not match the excluded schema");
+  }
+
+  return result;
+}
+
+/**
+ * Types a schema allows, including null for nullable schemas
+ */
+function schemaTypes(schema: JSONSchema): SchemaType[] {
+  const types =
+    schema.type === undefined
+      ? []
+      : Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type];
+
+  return schema.nullable && types.length > 0 ? [...types, "null"] : types;
+}
+
+/**
+ * Convert a string (or a single value where an array is expected) to the
+ * first matching schema type
+ */
+function coerce(value: unknown, types: SchemaType[]): unknown {
+  if (types.length === 0 || types.some((type) => hasType(value, type))) {
+    return value;
+  }
+
+  if (types.includes("array")) {
+    return [value];
+  }
+
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  for (const type of types) {
+    if (type === "integer" && /^-?\d+$/.test(value)) {
+      return Number(value);
+    }
+    const number = Number(value);
+    if (type === "number" && value.trim() !== "" && Number.isFinite(number)) {
+      return number;
+    }
+    if (type === "boolean" && (value === "true" || value === "false")) {
+      return value === "true";
+    }
+    if (type === "null" && (value === "" || value === "null")) {
+      return null;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value has a JSON Schema type
+ */
+function hasType(value: unknown, type: SchemaType): boolean {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return typeof value === "number" && Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a value is a non-null, non-array object
+ */
+function isPlainObject(value: unknown): value is { [key: string]: unknown } {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Compare two JSON values structurally
+ */
+function deepEqual(a: unknown, b: unknown): boolean {
+  if (a === b) {
+    return true;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => deepEqual(a[key], b[key]))
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Copy a default value so requests never share mutable defaults
+ */
+function clone<T>(value: T): T {
+  return typeof value === "object" && value !== null
+    ? JSON.parse(JSON.stringify(value))
+    : value;
+}
+
+/**
+ * Check that a YYYY-MM-DD date exists in the calendar
+ */
+function isValidDate(value: string): boolean {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Escape a property name for use in a JSON Pointer
+ */
+function escapePointer(name: string): string {
+  return name.replace(/~/g, "~0").replace(/\//g, "~1");
+}
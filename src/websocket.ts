@@ -0,0 +1,669 @@
+import { createHash } from "crypto";
+import { EventEmitter } from "events";
+import { IncomingHttpHeaders, IncomingMessage, ServerResponse } from "http";
+import { Socket } from "net";
+import { Duplex } from "stream";
+import { TextDecoder } from "util";
+import { BadRequest, createError } from "./errors";
+import { parseBytes } from "./utils/bytes";
+import type {
+  IWebSocket,
+  WebSocketData,
+  WebSocketOptions,
+} from "./types/websocket.js";
+
+/**
+ * GUID appended to the client key to compute Sec-WebSocket-Accept
+ */
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Default limit of a message, fragments included
+const DEFAULT_MAX_PAYLOAD = 1024 * 1024;
+
+// Time the peer has to answer a close frame before the connection is dropped
+const CLOSE_TIMEOUT = 10000;
+
+// Frame opcodes
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+// Ready states, as in the browser WebSocket API
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * Error closing a connection with a status code
+ */
+class WebSocketError extends Error {
+  constructor(public code: number, message: string) {
+    super(message);
+    this.name = "WebSocketError";
+  }
+}
+
+/**
+ * Check whether a request asks to be upgraded to a WebSocket
+ * @param req - Node.js request object
+ * @returns True if the Upgrade header lists websocket
+ */
+export function isWebSocketUpgrade(req: IncomingMessage): boolean {
+  return hasToken(req.headers.upgrade, "websocket");
+}
+
+/**
+ * Complete the opening handshake of a WebSocket connection
+ * The 101 response carries the headers already set on res (request ID,
+ * cookies...), then the socket is handed over to the WebSocket
+ * @param req - Method and headers of the request
+ * @param res - Response assigned to the upgraded socket
+ * @param socket - Upgraded socket
+ * @param head - Bytes received after the request headers
+ * @param options - Message size limit and subprotocols
+ * @returns Open WebSocket
+ * @throws BadRequest if the handshake is invalid, or an HttpError (426) if
+ * the client speaks another WebSocket version
+ */
+export function acceptWebSocket(
+  req: { method: string; headers: IncomingHttpHeaders },
+  res: ServerResponse,
+  socket: Duplex,
+  head: Buffer,
+  options: WebSocketOptions = {}
+): WebSocket {
+  if (req.method !== "GET" || !hasToken(req.headers.connection, "upgrade")) {
+    throw new BadRequest("Invalid WebSocket handshake");
+  }
+
+  if (req.headers["sec-websocket-version"] !== "13") {
+    throw createError(426, "Unsupported WebSocket version", {
+      headers: { "Sec-WebSocket-Version": "13" },
+    });
+  }
+
+  const key = req.headers["sec-websocket-key"];
+  if (typeof key !== "string" || !/^[A-Za-z0-9+/]{22}==$/.test(key.trim())) {
+    throw new BadRequest("Invalid Sec-WebSocket-Key header");
+  }
+
+  const offered = String(req.headers["sec-websocket-protocol"] || "")
+    .split(",")
+    .map((protocol) => protocol.trim());
+  const protocol =
+    (options.protocols || []).find((candidate) =>
+      offered.includes(candidate)
+    ) || "";
+
+  // Headers meant for a response body do not apply to a 101
+  for (const name of ["content-type", "content-length", "transfer-encoding"]) {
+    res.removeHeader(name);
+  }
+  res.setHeader("Upgrade", "websocket");
+  res.setHeader("Connection", "Upgrade");
+  res.setHeader(
+    "Sec-WebSocket-Accept",
+    createHash("sha1")
+      .update(key.trim() + WEBSOCKET_GUID)
+      .digest("base64")
+  );
+  if (protocol) {
+    res.setHeader("Sec-WebSocket-Protocol", protocol);
+  }
+  res.writeHead(101);
+  res.flushHeaders();
+
+  const maxPayload = parseBytes(options.maxPayload ?? DEFAULT_MAX_PAYLOAD);
+  return new WebSocket(socket, head, { maxPayload, protocol });
+}
+
+/**
+ * WebSocket connection over an upgraded socket (RFC 6455)
+ * Parses masked client frames, reassembles fragmented messages, answers
+ * pings and runs the closing handshake; extensions are not negotiated, so
+ * reserved bits must be 0
+ */
+export class WebSocket extends EventEmitter implements IWebSocket {
+  static readonly OPEN = OPEN;
+  static readonly CLOSING = CLOSING;
+  static readonly CLOSED = CLOSED;
+
+  private _socket: Duplex;
+  private _maxPayload: number;
+  private _buffer: Buffer;
+  private _fragments: Buffer[];
+  private _fragmentsLength: number;
+  private _fragmentOpcode: number;
+  private _readyState: number;
+  private _closeSent: boolean;
+  private _closeReceived: boolean;
+  private _closeCode: number;
+  private _closeReason: string;
+  private _closeTimer: NodeJS.Timeout | null;
+  public readonly protocol: string;
+
+  constructor(
+    socket: Duplex,
+    head: Buffer,
+    options: { maxPayload: number; protocol?: string }
+  ) {
+    super();
+    this._socket = socket;
+    this._maxPayload = options.maxPayload;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentsLength = 0;
+    this._fragmentOpcode = 0;
+    this._readyState = OPEN;
+    this._closeSent = false;
+    this._closeReceived = false;
+    this._closeCode = 1006;
+    this._closeReason = "";
+    this._closeTimer = null;
+    this.protocol = options.protocol || "";
+
+    if (socket instanceof Socket) {
+      socket.setNoDelay(true);
+      socket.setTimeout(0);
+    }
+
+    socket.on("data", (chunk: Buffer) => this._receive(chunk));
+    socket.on("drain", () => this.emit("drain"));
+    socket.on("end", () => socket.end());
+    socket.on("error", (error) => this._emitError(error));
+    socket.once("close", () => this._onSocketClose());
+
+    // Frames are read once the route handler attached its listeners; the
+    // socket was paused while the request went through middleware
+    process.nextTick(() => {
+      if (head.length > 0) {
+        this._receive(head);
+      }
+      socket.resume();
+    });
+  }
+
+  /**
+   * 1 (OPEN), 2 (CLOSING) or 3 (CLOSED)
+   */
+  get readyState(): number {
+    return this._readyState;
+  }
+
+  /**
+   * Bytes queued for sending that the client has not received yet
+   */
+  get bufferedAmount(): number {
+    return this._socket.writableLength;
+  }
+
+  /**
+   * Send a message
+   * Strings are sent as text messages, Buffers as binary messages. The
+   * return value follows stream.write(): once it is false, wait for the
+   * "drain" event before sending more
+   * @param data - Message
+   * @param callback - Called once the message was written, or with an error
+   * @returns False if the data was queued, or not sent because the
+   * connection is closing
+   */
+  send(
+    data: string | Buffer | Uint8Array,
+    callback?: (error?: Error) => void
+  ): boolean {
+    const opcode = typeof data === "string" ? OP_TEXT : OP_BINARY;
+    const payload =
+      typeof data === "string"
+        ? Buffer.from(data)
+        : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+    if (this._readyState !== OPEN) {
+      if (callback) {
+        process.nextTick(callback, new Error("WebSocket is not open"));
+      }
+      return false;
+    }
+
+    return this._sendFrame(opcode, payload, callback);
+  }
+
+  /**
+   * Send a ping; the client answers with a pong carrying the same data
+   * @param data - Up to 125 bytes
+   * @throws TypeError If the data is longer than 125 bytes
+   */
+  ping(data: string | Buffer = Buffer.alloc(0)): void {
+    this._sendControl(OP_PING, data);
+  }
+
+  /**
+   * Send an unsolicited pong, e.g. as a one-way heartbeat
+   * @param data - Up to 125 bytes
+   * @throws TypeError If the data is longer than 125 bytes
+   */
+  pong(data: string | Buffer = Buffer.alloc(0)): void {
+    this._sendControl(OP_PONG, data);
+  }
+
+  /**
+   * Start the closing handshake
+   * The connection is closed once the client answers, or dropped after a
+   * timeout
+   * @param code - Status code: 1000, 1001, 1003, 1007 to 1014, or 3000 to
+   * 4999 for applications (default 1000)
+   * @param reason - Reason, up to 123 bytes
+   * @throws TypeError If the code or the reason is invalid
+   */
+  close(code = 1000, reason = ""): void {
+    if (!isValidCloseCode(code)) {
+      throw new TypeError(`Invalid WebSocket close code: ${code}`);
+    }
+    if (Buffer.byteLength(reason) > 123) {
+      throw new TypeError("WebSocket close reason must be at most 123 bytes");
+    }
+
+    this._startClose(code, reason);
+  }
+
+  /**
+   * Destroy the connection without a closing handshake
+   */
+  terminate(): void {
+    this._socket.destroy();
+  }
+
+  /**
+   * Buffer incoming bytes and handle the complete frames
+   * @param chunk - Data read from the socket
+   * @private
+   */
+  private _receive(chunk: Buffer): void {
+    if (this._closeReceived || this._readyState === CLOSED) {
+      return;
+    }
+
+    this._buffer =
+      this._buffer.length === 0 ? chunk : Buffer.concat([this._buffer, chunk]);
+
+    try {
+      while (this._readFrame()) {
+        // Frames are handled as they are read
+      }
+    } catch (error) {
+      if (!(error instanceof WebSocketError)) {
+        throw error;
+      }
+      this._fail(error);
+    }
+  }
+
+  /**
+   * Read and handle one frame from the buffer
+   * @returns False if the buffer does not hold a complete frame
+   * @throws WebSocketError If the frame breaks the protocol or a limit
+   * @private
+   */
+  private _readFrame(): boolean {
+    const buffer = this._buffer;
+    if (buffer.length < 2 || this._closeReceived) {
+      return false;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return false;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return false;
+      }
+      const high = buffer.readUInt32BE(2);
+      if (high > 0x1fffff) {
+        throw new WebSocketError(1009, "Message too big");
+      }
+      length = high * 2 ** 32 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+
+    // Frames are checked as soon as their header is in, so oversized ones
+    // are rejected before their payload is buffered
+    this._checkFrame(fin, opcode, masked, buffer[0] & 0x70, length);
+
+    if (buffer.length < offset + 4 + length) {
+      return false;
+    }
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(
+      buffer.subarray(offset + 4, offset + 4 + length)
+    );
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+    this._buffer = buffer.subarray(offset + 4 + length);
+
+    if (opcode >= OP_CLOSE) {
+      this._handleControl(opcode, payload);
+    } else {
+      this._handleData(opcode, fin, payload);
+    }
+    return true;
+  }
+
+  /**
+   * Check a frame header against the protocol and the message size limit
+   * @param fin - Final fragment flag
+   * @param opcode - Frame opcode
+   * @param masked - Mask flag
+   * @param rsv - Reserved bits
+   * @param length - Payload length
+   * @throws WebSocketError If the frame is invalid or too big
+   * @private
+   */
+  private _checkFrame(
+    fin: boolean,
+    opcode: number,
+    masked: boolean,
+    rsv: number,
+    length: number
+  ): void {
+    if (rsv !== 0) {
+      throw new WebSocketError(1002, "Reserved bits must be 0");
+    }
+    if (!masked) {
+      throw new WebSocketError(1002, "Client frames must be masked");
+    }
+
+    if (opcode >= OP_CLOSE) {
+      if (opcode !== OP_CLOSE && opcode !== OP_PING && opcode !== OP_PONG) {
+        throw new WebSocketError(1002, `Unknown opcode ${opcode}`);
+      }
+      if (!fin || length > 125) {
+        throw new WebSocketError(1002, "Invalid control frame");
+      }
+      return;
+    }
+
+    if (
+      opcode !== OP_CONTINUATION &&
+      opcode !== OP_TEXT &&
+      opcode !== OP_BINARY
+    ) {
+      throw new WebSocketError(1002, `Unknown opcode ${opcode}`);
+    }
+    if (opcode === OP_CONTINUATION && this._fragmentOpcode === 0) {
+      throw new WebSocketError(1002, "Unexpected continuation frame");
+    }
+    if (opcode !== OP_CONTINUATION && this._fragmentOpcode !== 0) {
+      throw new WebSocketError(1002, "Expected a continuation frame");
+    }
+    if (this._fragmentsLength + length > this._maxPayload) {
+      throw new WebSocketError(1009, "Message too big");
+    }
+  }
+
+  /**
+   * Collect a data frame and emit the message once it is complete
+   * @param opcode - Text, binary or continuation
+   * @param fin - Whether this is the last fragment
+   * @param payload - Unmasked payload
+   * @throws WebSocketError If a text message is not valid UTF-8
+   * @private
+   */
+  private _handleData(opcode: number, fin: boolean, payload: Buffer): void {
+    if (opcode !== OP_CONTINUATION) {
+      this._fragmentOpcode = opcode;
+    }
+    this._fragments.push(payload);
+    this._fragmentsLength += payload.length;
+    if (!fin) {
+      return;
+    }
+
+    const data = Buffer.concat(this._fragments, this._fragmentsLength);
+    const binary = this._fragmentOpcode === OP_BINARY;
+    this._fragments = [];
+    this._fragmentsLength = 0;
+    this._fragmentOpcode = 0;
+
+    // Messages arriving after close() are dropped
+    if (this._readyState !== OPEN) {
+      return;
+    }
+
+    const message: WebSocketData = binary ? data : decodeUtf8(data);
+    this.emit("message", message, binary);
+  }
+
+  /**
+   * Handle a ping, pong or close frame
+   * @param opcode - Control opcode
+   * @param payload - Unmasked payload
+   * @throws WebSocketError If a close frame is malformed
+   * @private
+   */
+  private _handleControl(opcode: number, payload: Buffer): void {
+    if (opcode === OP_PING) {
+      if (this._readyState === OPEN) {
+        this._sendFrame(OP_PONG, payload);
+      }
+      this.emit("ping", payload);
+      return;
+    }
+
+    if (opcode === OP_PONG) {
+      this.emit("pong", payload);
+      return;
+    }
+
+    let code = 1005;
+    let reason = "";
+    if (payload.length === 1) {
+      throw new WebSocketError(1002, "Invalid close frame");
+    }
+    if (payload.length >= 2) {
+      code = payload.readUInt16BE(0);
+      if (!isValidCloseCode(code)) {
+        throw new WebSocketError(1002, `Invalid close code ${code}`);
+      }
+      reason = decodeUtf8(payload.subarray(2));
+    }
+
+    this._closeReceived = true;
+    this._closeCode = code;
+    this._closeReason = reason;
+
+    // Echo the close frame, then close the connection: the server closes
+    // the TCP connection first
+    if (!this._closeSent) {
+      this._startClose(code === 1005 ? undefined : code, reason);
+    }
+    this._socket.end();
+  }
+
+  /**
+   * Send a close frame and wait for the client's
+   * @param code - Status code, or undefined for an empty close frame
+   * @param reason - Reason
+   * @private
+   */
+  private _startClose(code: number | undefined, reason: string): void {
+    if (this._closeSent || this._readyState === CLOSED) {
+      return;
+    }
+
+    this._closeSent = true;
+    this._readyState = CLOSING;
+
+    let payload = Buffer.alloc(0);
+    if (code !== undefined) {
+      payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+      payload.writeUInt16BE(code, 0);
+      payload.write(reason, 2);
+    }
+    this._sendFrame(OP_CLOSE, payload);
+
+    this._closeTimer = setTimeout(() => this._socket.destroy(), CLOSE_TIMEOUT);
+    this._closeTimer.unref();
+  }
+
+  /**
+   * Fail the connection after a protocol error or an oversized message
+   * @param error - Error with the status code to close with
+   * @private
+   */
+  private _fail(error: WebSocketError): void {
+    this._buffer = Buffer.alloc(0);
+    this._closeReceived = true;
+    this._closeCode = error.code;
+    this._closeReason = error.message;
+    this._emitError(error);
+    this._startClose(error.code, error.message);
+    this._socket.end();
+  }
+
+  /**
+   * Validate and send a ping or pong
+   * @param opcode - Ping or pong
+   * @param data - Payload
+   * @throws TypeError If the payload is longer than 125 bytes
+   * @private
+   */
+  private _sendControl(opcode: number, data: string | Buffer): void {
+    const payload = typeof data === "string" ? Buffer.from(data) : data;
+    if (payload.length > 125) {
+      throw new TypeError("Control frame data must be at most 125 bytes");
+    }
+    if (this._readyState === OPEN) {
+      this._sendFrame(opcode, payload);
+    }
+  }
+
+  /**
+   * Write an unmasked frame with the FIN bit set
+   * @param opcode - Frame opcode
+   * @param payload - Payload
+   * @param callback - Called once the frame was written
+   * @returns Whether the socket accepts more data right away
+   * @private
+   */
+  private _sendFrame(
+    opcode: number,
+    payload: Buffer,
+    callback?: (error?: Error) => void
+  ): boolean {
+    let header: Buffer;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+      header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+      header.writeUInt32BE(payload.length >>> 0, 6);
+    }
+
+    const socket = this._socket;
+    if (socket.destroyed || socket.writableEnded) {
+      if (callback) {
+        process.nextTick(callback, new Error("WebSocket is not open"));
+      }
+      return false;
+    }
+
+    socket.cork();
+    socket.write(header);
+    const accepted = socket.write(
+      payload,
+      callback && ((error) => callback(error || undefined))
+    );
+    socket.uncork();
+    return accepted;
+  }
+
+  /**
+   * Emit an error, if anyone listens for it
+   * Unhandled "error" events would crash the process, and the close code
+   * already reports what went wrong
+   * @param error - Error
+   * @private
+   */
+  private _emitError(error: Error): void {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    }
+  }
+
+  /**
+   * Report the closed connection
+   * @private
+   */
+  private _onSocketClose(): void {
+    this._readyState = CLOSED;
+    if (this._closeTimer) {
+      clearTimeout(this._closeTimer);
+      this._closeTimer = null;
+    }
+
+    // Without the client's close frame the connection closed abnormally
+    const code = this._closeReceived ? this._closeCode : 1006;
+    const reason = this._closeReceived ? this._closeReason : "";
+    this.emit("close", code, reason);
+  }
+}
+
+/**
+ * Decode a UTF-8 payload, rejecting invalid sequences
+ * @param data - Payload
+ * @returns Text
+ * @throws WebSocketError (1007) If the payload is not valid UTF-8
+ */
+function decodeUtf8(data: Buffer): string {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(data);
+  } catch {
+    throw new WebSocketError(1007, "Invalid UTF-8 in text message");
+  }
+}
+
+/**
+ * Check whether a status code may be sent in a close frame
+ * 1004 is reserved; 1005, 1006 and 1015 only report closures locally
+ * @param code - Status code
+ * @returns True for valid codes
+ */
+function isValidCloseCode(code: number): boolean {
+  if (code >= 3000 && code <= 4999) {
+    return true;
+  }
+  return code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code);
+}
+
+/**
+ * Check whether a comma-separated header lists a token
+ * @param header - Header value
+ * @param token - Token to look for, lower-case
+ * @returns True if the token is listed
+ */
+function hasToken(
+  header: string | string[] | undefined,
+  token: string
+): boolean {
+  return String(header || "")
+    .split(",")
+    .some((value) => value.trim().toLowerCase() === token);
+}